@@ -0,0 +1,58 @@
+// Audit trail - records every mutating API request (who, what, which charger, result) in audit_log
+const logger = require('./logger');
+
+const AUDITED_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Request body fields that are never written to the audit log
+const REDACTED_FIELDS = ['password', 'currentPassword', 'newPassword', 'key'];
+
+const MAX_BODY_LENGTH = 10000; // characters of request body JSON kept per entry
+
+function redact(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return body;
+    const copy = { ...body };
+    REDACTED_FIELDS.forEach(field => {
+        if (copy[field] !== undefined && copy[field] !== null) copy[field] = '***';
+    });
+    return copy;
+}
+
+// Express middleware; register before the API routes. The entry is written once the response
+// has been sent, when the authenticated user (req.user) and the matched route are known.
+function createAuditMiddleware(db) {
+    return (req, res, next) => {
+        if (!AUDITED_METHODS.includes(req.method) || !req.path.startsWith('/api/')) return next();
+
+        // Keep the error message of failed requests
+        let error = null;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (body && typeof body.error === 'string') error = body.error;
+            return json(body);
+        };
+
+        res.on('finish', () => {
+            const body = req.body && Object.keys(req.body).length > 0 ? JSON.stringify(redact(req.body)) : null;
+            const entry = {
+                timestamp: Math.floor(Date.now() / 1000),
+                // Sign-in attempts are attributed to the username they were made for
+                username: req.user ? req.user.username : (req.path === '/api/login' && req.body ? req.body.username || null : null),
+                remote_address: req.ip || null,
+                method: req.method,
+                path: req.path,
+                route: req.route ? req.route.path : null,
+                charge_point_id: (req.params && req.params.cpId) || null,
+                request_body: body && body.length > MAX_BODY_LENGTH ? body.slice(0, MAX_BODY_LENGTH) : body,
+                status_code: res.statusCode,
+                error
+            };
+            db.addAuditEntry(entry).catch(err => {
+                logger('ERROR', 'Failed to write audit log entry', { method: req.method, path: req.path, error: err.message });
+            });
+        });
+
+        next();
+    };
+}
+
+module.exports = { createAuditMiddleware };
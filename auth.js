@@ -1,32 +1,381 @@
-// Basic authentication middleware
+// API authentication (dashboard sessions and Basic auth) and charger authentication
 const crypto = require('crypto');
+const logger = require('./logger');
+const { verifyPassword, needsRehash, hashPassword } = require('./passwords');
 
-function hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
+// Seconds between idle-timer refreshes of a session (and last-used updates of an API key),
+// so not every request writes to the database
+const SESSION_TOUCH_INTERVAL = 60;
+
+// API keys start with this prefix, which tells them apart from session tokens in a Bearer header
+const API_KEY_PREFIX = 'oyk_';
+
+// Longest wait (seconds) imposed between failed sign-in attempts before a lockout
+const MAX_LOGIN_DELAY = 30;
+
+// Roles in increasing order of privilege: viewers read, operators also send commands to chargers,
+// admins also change proxy configuration, routing and charger access
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// Decode an `Authorization: Basic ...` header into { username, password } (null if not Basic).
+// The password may contain colons.
+function parseBasicAuth(header) {
+    if (!header || !header.startsWith('Basic ')) return null;
+
+    const credentials = Buffer.from(header.slice(6), 'base64').toString('utf8');
+    const separator = credentials.indexOf(':');
+    if (separator === -1) return null;
+
+    return { username: credentials.slice(0, separator), password: credentials.slice(separator + 1) };
 }
 
-function createAuthMiddleware(db) {
-    return async (req, res, next) => {
-        const authHeader = req.headers.authorization;
+// Parse a stored charger scope (comma-separated charge point IDs). Null means all chargers.
+function parseChargerScope(value) {
+    if (!value) return null;
+    return value.split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// The authenticated user attached to requests as `req.user`. Admins are never scoped.
+function userContext(user) {
+    return {
+        username: user.username,
+        role: user.role,
+        chargerScope: user.role === 'admin' ? null : parseChargerScope(user.charger_scope)
+    };
+}
+
+// True if the user may see and act on the charger
+function canAccessCharger(user, chargePointId) {
+    return !user.chargerScope || user.chargerScope.includes(chargePointId);
+}
+
+// Middleware allowing only users with at least `role` (use after the auth middleware)
+function requireRole(role) {
+    return (req, res, next) => {
+        if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+            return res.status(403).json({ error: `Requires the ${role} role` });
+        }
+        next();
+    };
+}
+
+// Middleware rejecting requests for a `:cpId` outside the user's charger scope
+function requireChargerAccess(req, res, next) {
+    if (!canAccessCharger(req.user, req.params.cpId)) {
+        return res.status(403).json({ error: `No access to charger ${req.params.cpId}` });
+    }
+    next();
+}
+
+// Middleware rejecting charger-scoped users, for settings shared by all chargers (e.g. the ID tag
+// list, which is sent to every charger as its local authorization list)
+function requireUnscoped(req, res, next) {
+    if (req.user.chargerScope) {
+        return res.status(403).json({ error: 'Not allowed for users limited to specific chargers' });
+    }
+    next();
+}
+
+// Check a dashboard user's password. Resolves to the user row, or null for unknown users and wrong passwords.
+async function authenticateUser(db, username, password) {
+    const user = await db.getUser(username);
+
+    if (!user || user.disabled || !(await verifyPassword(password, user.password_hash))) {
+        return null;
+    }
+
+    // Upgrade legacy or outdated hashes now that the plain password is known
+    if (needsRehash(user.password_hash)) {
+        try {
+            await db.updatePassword(username, await hashPassword(password));
+            logger('INFO', 'Upgraded password hash', { username });
+        } catch (err) {
+            logger('ERROR', 'Failed to upgrade password hash', { username, error: err.message });
+        }
+    }
+    return user;
+}
+
+// SHA-256 of a random token. Session tokens and API keys are long random strings, so a fast hash suffices.
+function tokenHash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Dashboard sessions: random bearer tokens issued at login, stored hashed. A session ends
+// `idleTimeout` seconds after its last use, or `maxAge` seconds after login, or at logout.
+function createSessionManager(db, { idleTimeout, maxAge }) {
+    async function create(username, remoteAddress) {
+        const now = Math.floor(Date.now() / 1000);
+        await db.deleteExpiredSessions(now, now - idleTimeout);
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = now + maxAge;
+        await db.addSession({
+            token_hash: tokenHash(token),
+            username,
+            created_at: now,
+            last_seen_at: now,
+            expires_at: expiresAt,
+            remote_address: remoteAddress || null
+        });
+        return { token, expiresAt };
+    }
+
+    // Look up a token and refresh its idle timer (unless `touch` is false). Resolves to the session,
+    // or null when unknown or expired.
+    async function resolve(token, { touch = true } = {}) {
+        const hash = tokenHash(token);
+        const session = await db.getSession(hash);
+        if (!session) return null;
+
+        const now = Math.floor(Date.now() / 1000);
+        if (session.expires_at <= now || session.last_seen_at + idleTimeout <= now) {
+            await db.deleteSession(hash);
+            return null;
+        }
+        if (touch && now - session.last_seen_at >= SESSION_TOUCH_INTERVAL) {
+            await db.touchSession(hash, now);
+        }
+        return session;
+    }
+
+    async function revoke(token) {
+        return await db.deleteSession(tokenHash(token));
+    }
+
+    // End all sessions of a user except (optionally) the one identified by `exceptToken`
+    async function revokeUser(username, exceptToken = null) {
+        return await db.deleteUserSessions(username, exceptToken ? tokenHash(exceptToken) : null);
+    }
+
+    return { create, resolve, revoke, revokeUser };
+}
+
+// API keys for scripts: named, with a role, optional charger scope and expiry. Revoked keys stay listed.
+function createApiKeyManager(db) {
+    // Create a key. The plain key is only returned here.
+    async function create({ name, role, chargerScope, expiresAt, createdBy }) {
+        const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url');
+        const id = await db.addApiKey({
+            name,
+            key_prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+            key_hash: tokenHash(key),
+            role,
+            charger_scope: chargerScope && chargerScope.length > 0 ? chargerScope.join(',') : null,
+            created_by: createdBy || null,
+            created_at: Math.floor(Date.now() / 1000),
+            expires_at: expiresAt || null
+        });
+        return { id, key };
+    }
+
+    // Look up a key and record its use (unless `touch` is false). Resolves to the key row, or null
+    // when unknown, revoked or expired.
+    async function resolve(key, { touch = true } = {}) {
+        const row = await db.getApiKeyByHash(tokenHash(key));
+        const now = Math.floor(Date.now() / 1000);
+        if (!row || row.revoked_at || (row.expires_at && row.expires_at <= now)) return null;
+
+        if (touch && (!row.last_used_at || now - row.last_used_at >= SESSION_TOUCH_INTERVAL)) {
+            await db.touchApiKey(row.id, now);
+        }
+        return row;
+    }
+
+    async function revoke(id) {
+        return await db.revokeApiKey(id, Math.floor(Date.now() / 1000));
+    }
+
+    return { create, resolve, revoke };
+}
+
+// Brute-force protection for password sign-ins (login and Basic auth). Failures are counted per
+// username and per client IP; after the second failure each further attempt must wait twice as
+// long (1s, 2s, 4s ... up to MAX_LOGIN_DELAY), and `maxFailures` / `maxFailuresPerIp` failures
+// lock the username / IP out for `lockoutSeconds`. Counts are forgotten `lockoutSeconds` after the
+// last failure. State is kept in memory, so a restart clears it.
+// An attempt is reserved with begin() before the password is checked and settled with recordFailure(),
+// recordSuccess() or release(). Attempts in progress count towards the lockout limit until then, so
+// parallel requests cannot all pass before the first failure is recorded.
+function createLoginThrottle({ maxFailures, maxFailuresPerIp, lockoutSeconds }) {
+    // 'username:alice' / 'ip:10.0.0.5' -> { type, value, failures, lastFailure, lockedUntil, inProgress }
+    const entries = new Map();
+
+    function prune(now) {
+        entries.forEach((entry, key) => {
+            if (entry.inProgress === 0 && entry.lockedUntil <= now && entry.lastFailure + lockoutSeconds <= now) {
+                entries.delete(key);
+            }
+        });
+    }
 
-        if (!authHeader || !authHeader.startsWith('Basic ')) {
-            res.setHeader('WWW-Authenticate', 'Basic realm="OCPP Proxy"');
-            return res.status(401).json({ error: 'Authentication required' });
+    function entryFor(type, value) {
+        const key = `${type}:${value}`;
+        if (!entries.has(key)) {
+            entries.set(key, { type, value, failures: 0, lastFailure: 0, lockedUntil: 0, inProgress: 0 });
         }
+        return entries.get(key);
+    }
+
+    function keysFor(username, remoteAddress) {
+        const keys = [];
+        if (username) keys.push({ type: 'username', value: username, limit: maxFailures });
+        if (remoteAddress) keys.push({ type: 'ip', value: remoteAddress, limit: maxFailuresPerIp });
+        return keys;
+    }
+
+    // Reserve a sign-in attempt. Returns the seconds until another attempt is allowed for the username
+    // and IP, or 0 when the attempt may go ahead (it must then be settled, see above).
+    function begin(username, remoteAddress) {
+        const now = Math.floor(Date.now() / 1000);
+        prune(now);
+
+        const keys = keysFor(username, remoteAddress);
+        let retryAfter = 0;
+        keys.forEach(({ type, value, limit }) => {
+            const entry = entries.get(`${type}:${value}`);
+            if (!entry) return;
+            const delay = entry.failures < 2 ? 0 : Math.min(2 ** (entry.failures - 2), MAX_LOGIN_DELAY);
+            const allowedAt = Math.max(entry.lockedUntil, entry.lastFailure + delay);
+            retryAfter = Math.max(retryAfter, allowedAt - now);
+
+            // Attempts in progress could still reach the lockout limit: wait for them
+            if (entry.inProgress > 0 && entry.failures + entry.inProgress >= limit) {
+                retryAfter = Math.max(retryAfter, 1);
+            }
+        });
+
+        if (retryAfter === 0) {
+            keys.forEach(({ type, value }) => entryFor(type, value).inProgress++);
+        }
+        return retryAfter;
+    }
+
+    // Settle a reserved attempt whose password could not be checked (e.g. a database error)
+    function release(username, remoteAddress) {
+        keysFor(username, remoteAddress).forEach(({ type, value }) => {
+            const entry = entries.get(`${type}:${value}`);
+            if (entry && entry.inProgress > 0) entry.inProgress--;
+        });
+    }
+
+    function recordFailure(username, remoteAddress) {
+        const now = Math.floor(Date.now() / 1000);
+        release(username, remoteAddress);
+        keysFor(username, remoteAddress).forEach(({ type, value, limit }) => {
+            const entry = entryFor(type, value);
+            entry.failures++;
+            entry.lastFailure = now;
+            if (entry.failures >= limit && entry.lockedUntil <= now) {
+                entry.lockedUntil = now + lockoutSeconds;
+                logger('WARNING', 'Sign-in locked out after repeated failures', {
+                    [type === 'ip' ? 'remoteAddress' : 'username']: value,
+                    failures: entry.failures,
+                    lockedUntil: new Date(entry.lockedUntil * 1000).toISOString()
+                });
+            }
+        });
+    }
+
+    // A correct password clears the username's failures. The IP's stay, so one valid account
+    // cannot be used to reset the count while guessing others.
+    function recordSuccess(username, remoteAddress) {
+        release(username, remoteAddress);
+        const entry = entries.get(`username:${username}`);
+        if (entry) Object.assign(entry, { failures: 0, lastFailure: 0, lockedUntil: 0 });
+        prune(Math.floor(Date.now() / 1000));
+    }
+
+    // Usernames and IPs with failed attempts, currently locked out first
+    function list() {
+        const now = Math.floor(Date.now() / 1000);
+        prune(now);
+        return [...entries.values()]
+            .filter(entry => entry.failures > 0)
+            .map(({ type, value, failures, lastFailure, lockedUntil }) => ({
+                type, value, failures, lastFailure, lockedUntil: lockedUntil > now ? lockedUntil : null
+            }))
+            .sort((a, b) => (b.lockedUntil || 0) - (a.lockedUntil || 0) || b.lastFailure - a.lastFailure);
+    }
+
+    // Lift a lockout (and forget the failures). Returns false if there was none.
+    function clear(type, value) {
+        return entries.delete(`${type}:${value}`);
+    }
+
+    return { begin, release, recordFailure, recordSuccess, list, clear };
+}
+
+// The `req.user` of a request made with an API key (null for unknown, revoked or expired keys)
+async function apiKeyUser(apiKeys, key, options) {
+    const apiKey = await apiKeys.resolve(key, options);
+    if (!apiKey) return null;
+    return { ...userContext({ ...apiKey, username: `apikey:${apiKey.name}` }), apiKeyId: apiKey.id };
+}
+
+// The `req.user` of a request made with a session token (null for ended sessions and disabled users).
+// The user is loaded every time so role changes and deletions apply immediately.
+async function sessionUser(db, sessions, token, options) {
+    const session = await sessions.resolve(token, options);
+    const user = session ? await db.getUser(session.username) : null;
+    if (!user || user.disabled) return null;
+    return { ...userContext(user), sessionToken: token };
+}
+
+// Accepts a session token (`Authorization: Bearer ...`, used by the dashboard), an API key
+// (`Authorization: Bearer oyk_...`) or Basic credentials. Basic sign-ins go through `loginThrottle`.
+function createAuthMiddleware(db, { sessions, apiKeys, loginThrottle }) {
+    return async (req, res, next) => {
+        const authHeader = req.headers.authorization;
 
         try {
-            const base64Credentials = authHeader.split(' ')[1];
-            const credentials = Buffer.from(base64Credentials, 'base64').toString('utf8');
-            const [username, password] = credentials.split(':');
+            if (authHeader && authHeader.startsWith(`Bearer ${API_KEY_PREFIX}`)) {
+                const user = await apiKeyUser(apiKeys, authHeader.slice(7).trim());
+                if (!user) {
+                    return res.status(401).json({ error: 'API key invalid, expired or revoked' });
+                }
+                req.user = user;
+                return next();
+            }
 
-            const user = await db.getUser(username);
+            if (authHeader && authHeader.startsWith('Bearer ')) {
+                const user = await sessionUser(db, sessions, authHeader.slice(7).trim());
+                if (!user) {
+                    return res.status(401).json({ error: 'Session expired or invalid' });
+                }
+                req.user = user;
+                return next();
+            }
+
+            if (!authHeader || !authHeader.startsWith('Basic ')) {
+                res.setHeader('WWW-Authenticate', 'Basic realm="OCPP Proxy"');
+                return res.status(401).json({ error: 'Authentication required' });
+            }
 
-            if (!user || user.password_hash !== hashPassword(password)) {
+            const { username, password } = parseBasicAuth(authHeader) || {};
+            const remoteAddress = req.ip;
+            const retryAfter = loginThrottle.begin(username, remoteAddress);
+            if (retryAfter > 0) {
+                res.setHeader('Retry-After', String(retryAfter));
+                return res.status(429).json({ error: `Too many failed sign-in attempts, retry in ${retryAfter}s` });
+            }
+
+            let user;
+            try {
+                user = await authenticateUser(db, username, password);
+            } catch (err) {
+                loginThrottle.release(username, remoteAddress);
+                throw err;
+            }
+            if (!user) {
+                loginThrottle.recordFailure(username, remoteAddress);
+                logger('WARNING', 'Failed Basic auth', { username, remoteAddress });
                 return res.status(401).json({ error: 'Invalid credentials' });
             }
+            loginThrottle.recordSuccess(username, remoteAddress);
 
             // Authentication successful
-            req.user = { username };
+            req.user = userContext(user);
             next();
         } catch (err) {
             return res.status(401).json({ error: 'Authentication failed' });
@@ -34,4 +383,85 @@ function createAuthMiddleware(db) {
     };
 }
 
-module.exports = { createAuthMiddleware, hashPassword };
+// Re-check the credentials a long-lived request (the dashboard stream) was authenticated with,
+// without refreshing idle timers. Resolves to the current `req.user`, or null once the session has
+// ended, the API key was revoked, or the user was disabled, deleted or had their password changed.
+function createReauthenticator(db, { sessions, apiKeys }) {
+    return async function reauthenticate(req) {
+        const authHeader = req.headers.authorization || '';
+
+        if (authHeader.startsWith(`Bearer ${API_KEY_PREFIX}`)) {
+            return await apiKeyUser(apiKeys, authHeader.slice(7).trim(), { touch: false });
+        }
+        if (authHeader.startsWith('Bearer ')) {
+            return await sessionUser(db, sessions, authHeader.slice(7).trim(), { touch: false });
+        }
+
+        const { username, password } = parseBasicAuth(authHeader) || {};
+        const user = await authenticateUser(db, username, password);
+        return user ? userContext(user) : null;
+    };
+}
+
+// Decide whether a charger may open its WebSocket (OCPP Security Profiles 1 and 2).
+// `getSettings` returns { authRequired, allowListEnabled } from the runtime config.
+// authenticate() resolves to { status, reason } when the charger must be rejected, otherwise null.
+function createChargerAuthenticator(db, getSettings) {
+    async function authenticate({ chargePointId, authorization, clientCertificate }) {
+        const { authRequired, allowListEnabled } = getSettings();
+        const access = await db.getChargerAccess(chargePointId);
+
+        if (access && access.list === 'DENY') {
+            return { status: 403, reason: 'charge point ID is on the deny-list' };
+        }
+        if (allowListEnabled && (!access || access.list !== 'ALLOW')) {
+            return { status: 403, reason: 'charge point ID is not on the allow-list' };
+        }
+
+        // A verified client certificate (Security Profile 3) authenticates the charger on its own
+        if (!authRequired || clientCertificate) return null;
+
+        const credentials = parseBasicAuth(authorization);
+        if (!credentials) {
+            return { status: 401, reason: 'missing Basic credentials' };
+        }
+        if (credentials.username !== chargePointId) {
+            return { status: 401, reason: `username '${credentials.username}' does not match charge point ID` };
+        }
+        if (!access || !access.password_hash) {
+            return { status: 401, reason: 'no password configured for charger' };
+        }
+        if (!(await verifyPassword(credentials.password, access.password_hash))) {
+            return { status: 401, reason: 'invalid password' };
+        }
+
+        if (needsRehash(access.password_hash)) {
+            try {
+                await db.setChargerAccess(chargePointId, { password_hash: await hashPassword(credentials.password) });
+                logger('INFO', 'Upgraded charger password hash', { chargePointId });
+            } catch (err) {
+                logger('ERROR', 'Failed to upgrade charger password hash', { chargePointId, error: err.message });
+            }
+        }
+        return null;
+    }
+
+    return { authenticate };
+}
+
+module.exports = {
+    ROLES,
+    createAuthMiddleware,
+    createSessionManager,
+    createApiKeyManager,
+    createLoginThrottle,
+    createReauthenticator,
+    authenticateUser,
+    requireRole,
+    requireChargerAccess,
+    requireUnscoped,
+    canAccessCharger,
+    parseChargerScope,
+    createChargerAuthenticator,
+    parseBasicAuth
+};
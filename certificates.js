@@ -0,0 +1,99 @@
+// TLS configuration: the proxy's own listener, charger client certificate checks (OCPP Security
+// Profile 3) and outbound TLS towards the CSMS
+const fs = require('fs');
+const tls = require('tls');
+
+// HTTPS server options from TLS_CERT_FILE / TLS_KEY_FILE, or null when TLS is not configured.
+// With TLS_CA_FILE, chargers are asked for a client certificate signed by one of the CAs. The handshake
+// itself does not reject untrusted or missing certificates (the dashboard shares the listener);
+// chargers are checked with checkClientCertificate() when they open the WebSocket.
+function loadTlsOptions(env = process.env) {
+    if (!env.TLS_CERT_FILE || !env.TLS_KEY_FILE) return null;
+
+    const options = {
+        cert: fs.readFileSync(env.TLS_CERT_FILE),
+        key: fs.readFileSync(env.TLS_KEY_FILE)
+    };
+    if (env.TLS_KEY_PASSPHRASE) options.passphrase = env.TLS_KEY_PASSPHRASE;
+
+    if (env.TLS_CA_FILE) {
+        options.ca = fs.readFileSync(env.TLS_CA_FILE);
+        options.requestCert = true;
+        options.rejectUnauthorized = false;
+    }
+    return options;
+}
+
+// Names a certificate is issued to: the subject CN plus DNS/URI subject alternative names
+function certificateIdentities(cert) {
+    const identities = [];
+    if (cert.subject && cert.subject.CN) {
+        identities.push(...[].concat(cert.subject.CN));
+    }
+    if (cert.subjectaltname) {
+        cert.subjectaltname.split(', ').forEach(entry => {
+            const [type, value] = entry.split(/:(.*)/s);
+            if ((type === 'DNS' || type === 'URI') && value) identities.push(value);
+        });
+    }
+    return identities;
+}
+
+// Check the client certificate on a charger's TLS connection. Returns { certificate } (null when
+// none was presented and none is required) or { error } with the reason the charger is rejected.
+function checkClientCertificate(tlsSocket, chargePointId, { required }) {
+    const cert = tlsSocket.getPeerCertificate();
+    const presented = cert && Object.keys(cert).length > 0;
+
+    if (!presented) {
+        return required ? { error: 'no client certificate presented' } : { certificate: null };
+    }
+    if (!tlsSocket.authorized) {
+        return { error: `client certificate not trusted: ${tlsSocket.authorizationError}` };
+    }
+
+    const identities = certificateIdentities(cert);
+    if (!identities.includes(chargePointId)) {
+        return { error: `client certificate issued to '${identities.join(', ') || 'unknown'}', not '${chargePointId}'` };
+    }
+
+    return {
+        certificate: {
+            subject: cert.subject.CN || null,
+            issuer: cert.issuer ? cert.issuer.CN || null : null,
+            serialNumber: cert.serialNumber,
+            fingerprint256: cert.fingerprint256,
+            validTo: cert.valid_to
+        }
+    };
+}
+
+// Outbound TLS options for CSMS (and mirror) connections. CSMS_TLS_CA_FILE adds CAs to Node's
+// default trusted roots; CSMS_TLS_CERT_FILE / CSMS_TLS_KEY_FILE present a client certificate for
+// CSMS-side mutual TLS. Certificates are always verified unless the target is opted out.
+function loadCsmsTlsOptions(env = process.env) {
+    const options = {};
+    if (env.CSMS_TLS_CA_FILE) {
+        options.ca = [...tls.rootCertificates, fs.readFileSync(env.CSMS_TLS_CA_FILE, 'utf8')];
+    }
+    if (env.CSMS_TLS_CERT_FILE && env.CSMS_TLS_KEY_FILE) {
+        options.cert = fs.readFileSync(env.CSMS_TLS_CERT_FILE);
+        options.key = fs.readFileSync(env.CSMS_TLS_KEY_FILE);
+        if (env.CSMS_TLS_KEY_PASSPHRASE) options.passphrase = env.CSMS_TLS_KEY_PASSPHRASE;
+    }
+    return options;
+}
+
+// True if `url` points at one of the hosts opted out of certificate verification.
+// Entries match the URL's host with port ('csms.test:9443') or its hostname alone ('csms.test').
+function skipsTlsVerification(url, insecureHosts) {
+    if (!insecureHosts.length) return false;
+    try {
+        const { host, hostname } = new URL(url);
+        return insecureHosts.includes(host) || insecureHosts.includes(hostname);
+    } catch (err) {
+        return false;
+    }
+}
+
+module.exports = { loadTlsOptions, checkClientCertificate, loadCsmsTlsOptions, skipsTlsVerification };
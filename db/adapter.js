@@ -7,6 +7,20 @@ const logger = require('../logger');
 // Singleton instance for in-memory database
 let sharedDbInstance = null;
 
+// id_tags columns that are sent to chargers in SendLocalList; changing them bumps the list version
+const LOCAL_LIST_FIELDS = ['status', 'expiry_date', 'parent_id_tag'];
+
+// Increment the local authorization list version (stored in config) within a transaction
+async function nextLocalListVersion(trx) {
+    const row = await trx('config').where('key', 'localListVersion').first();
+    const version = (row ? parseInt(row.value) || 0 : 0) + 1;
+    await trx('config')
+        .insert({ key: 'localListVersion', value: String(version), updated_at: Math.floor(Date.now() / 1000) })
+        .onConflict('key')
+        .merge();
+    return version;
+}
+
 class DatabaseAdapter {
     constructor() {
         const environment = process.env.NODE_ENV === 'production' ? 'production' : 'development';
@@ -61,13 +75,16 @@ class DatabaseAdapter {
     async logMessage(chargePointId, direction, payload) {
         const payloadStr = typeof payload === 'string' ? payload : JSON.stringify(payload);
         const timestamp = Math.floor(Date.now() / 1000);
-
-        await this.db('logs').insert({
+        const entry = {
             charge_point_id: chargePointId,
             direction,
             payload: payloadStr,
             timestamp
-        });
+        };
+
+        const [row] = await this.db('logs').insert(entry).returning('id');
+        // Knex returns { id } objects for Postgres and SQLite >= 3.35, plain IDs for older drivers
+        return { id: parseInt(typeof row === 'object' ? row.id : row), ...entry };
     }
 
     async getLogs(options = {}) {
@@ -80,11 +97,66 @@ class DatabaseAdapter {
             query = query.where('timestamp', '>', options.since);
         }
 
-        query = query.orderBy('timestamp', 'desc').limit(limit);
+        // Restrict to a set of chargers (users scoped to some chargers)
+        if (options.chargePointIds) {
+            query = query.whereIn('charge_point_id', options.chargePointIds);
+        }
+
+        // IDs increase with every insert, so unlike `since` this never skips or repeats messages
+        if (options.afterId) {
+            query = query.where('id', '>', options.afterId);
+        }
+
+        // Newest first by default; `order: 'asc'` returns the oldest logs after `afterId` first
+        if (options.order === 'asc') {
+            query = query.orderBy('id', 'asc').limit(limit);
+        } else {
+            query = query.orderBy('timestamp', 'desc').orderBy('id', 'desc').limit(limit);
+        }
 
         return await query;
     }
 
+    // Protocol violation methods
+    async addProtocolViolations(chargePointId, logId, direction, violations) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        await this.db('protocol_violations').insert(violations.map(v => ({
+            charge_point_id: chargePointId,
+            log_id: logId,
+            direction,
+            action: v.action,
+            message_id: v.messageId,
+            error_path: v.path,
+            error_message: v.message,
+            timestamp
+        })));
+    }
+
+    async getProtocolViolations(options = {}) {
+        const limit = options.limit || 100;
+        let query = this.db('protocol_violations').select('*');
+
+        if (options.chargePointId) {
+            query = query.where('charge_point_id', options.chargePointId);
+        }
+        if (options.chargePointIds) {
+            query = query.whereIn('charge_point_id', options.chargePointIds);
+        }
+        if (options.direction) {
+            query = query.where('direction', options.direction);
+        }
+        if (options.action) {
+            query = query.where('action', options.action);
+        }
+
+        return await query.orderBy('id', 'desc').limit(limit);
+    }
+
+    async getViolationsForLogs(logIds) {
+        if (logIds.length === 0) return [];
+        return await this.db('protocol_violations').whereIn('log_id', logIds).orderBy('id', 'asc');
+    }
+
     // Charger methods
     async updateChargerStatus(chargePointId, status) {
         const lastSeen = Math.floor(Date.now() / 1000);
@@ -156,11 +228,272 @@ class DatabaseAdapter {
         return await this.db('chargers').select('*');
     }
 
+    async setChargerCsmsGroup(chargePointId, group) {
+        const count = await this.db('chargers')
+            .where('charge_point_id', chargePointId)
+            .update({ csms_group: group });
+        return count > 0;
+    }
+
+    // `settings` holds mirror_url and/or mirror_enabled
+    async setChargerMirror(chargePointId, settings) {
+        const count = await this.db('chargers')
+            .where('charge_point_id', chargePointId)
+            .update(settings);
+        return count > 0;
+    }
+
+    // CSMS routing methods
+    async getCsmsRoutes() {
+        return await this.db('csms_routes').select('*').orderBy('id', 'asc');
+    }
+
+    async getCsmsRoute(id) {
+        return await this.db('csms_routes').where('id', id).first();
+    }
+
+    async addCsmsRoute(data) {
+        const now = Math.floor(Date.now() / 1000);
+        const [row] = await this.db('csms_routes')
+            .insert({ ...data, created_at: now, updated_at: now })
+            .returning('id');
+        return parseInt(typeof row === 'object' ? row.id : row);
+    }
+
+    async updateCsmsRoute(id, data) {
+        const count = await this.db('csms_routes')
+            .where('id', id)
+            .update({ ...data, updated_at: Math.floor(Date.now() / 1000) });
+        return count > 0;
+    }
+
+    async deleteCsmsRoute(id) {
+        const count = await this.db('csms_routes').where('id', id).del();
+        return count > 0;
+    }
+
+    // Charger access methods (authentication at the WebSocket upgrade)
+    async getChargerAccessList() {
+        return await this.db('charger_access').select('*').orderBy('charge_point_id', 'asc');
+    }
+
+    async getChargerAccess(chargePointId) {
+        return await this.db('charger_access').where('charge_point_id', chargePointId).first();
+    }
+
+    // Insert or update a charger's access entry, only touching the columns provided
+    async setChargerAccess(chargePointId, data) {
+        const now = Math.floor(Date.now() / 1000);
+        await this.db('charger_access')
+            .insert({ charge_point_id: chargePointId, ...data, created_at: now, updated_at: now })
+            .onConflict('charge_point_id')
+            .merge({ ...data, updated_at: now });
+    }
+
+    async deleteChargerAccess(chargePointId) {
+        const count = await this.db('charger_access').where('charge_point_id', chargePointId).del();
+        return count > 0;
+    }
+
+    // Transaction methods
+    async getTransaction(chargePointId, transactionId) {
+        return await this.db('transactions')
+            .where({ charge_point_id: chargePointId, transaction_id: String(transactionId) })
+            .first();
+    }
+
+    // Insert or update a transaction, only touching the columns provided
+    async upsertTransaction(chargePointId, transactionId, data) {
+        const now = Math.floor(Date.now() / 1000);
+        await this.db('transactions')
+            .insert({
+                charge_point_id: chargePointId,
+                transaction_id: String(transactionId),
+                ...data,
+                updated_at: now
+            })
+            .onConflict(['charge_point_id', 'transaction_id'])
+            .merge();
+    }
+
+    async getTransactions(options = {}) {
+        const limit = options.limit || 100;
+        let query = this.db('transactions').select('*');
+
+        if (options.chargePointId) {
+            query = query.where('charge_point_id', options.chargePointId);
+        }
+        if (options.chargePointIds) {
+            query = query.whereIn('charge_point_id', options.chargePointIds);
+        }
+        if (options.status) {
+            query = query.where('status', options.status);
+        }
+        if (options.from) {
+            query = query.where('start_time', '>=', options.from);
+        }
+        if (options.to) {
+            query = query.where('start_time', '<=', options.to);
+        }
+
+        return await query.orderBy('start_time', 'desc').limit(limit);
+    }
+
+    // Hand out a unique transaction ID for a proxy-answered StartTransaction.
+    // Backed by an auto-increment table so IDs survive restarts and never repeat across chargers.
+    async allocateTransactionId(chargePointId) {
+        const now = Math.floor(Date.now() / 1000);
+        const [row] = await this.db('proxy_transaction_ids')
+            .insert({ charge_point_id: chargePointId, created_at: now })
+            .returning('id');
+        // Knex returns { id } objects for Postgres and SQLite >= 3.35, plain IDs for older drivers
+        return parseInt(typeof row === 'object' ? row.id : row);
+    }
+
+    async setCsmsTransactionId(chargePointId, transactionId, csmsTransactionId) {
+        const count = await this.db('transactions')
+            .where({ charge_point_id: chargePointId, transaction_id: String(transactionId) })
+            .update({
+                csms_transaction_id: String(csmsTransactionId),
+                updated_at: Math.floor(Date.now() / 1000)
+            });
+        return count > 0;
+    }
+
+    // Find a proxy-issued transaction by the ID the CSMS assigned to it
+    async getTransactionByCsmsId(chargePointId, csmsTransactionId) {
+        return await this.db('transactions')
+            .where({ charge_point_id: chargePointId, csms_transaction_id: String(csmsTransactionId) })
+            .first();
+    }
+
+    // Store-and-forward queue methods
+    async enqueueCsmsMessage(chargePointId, action, frame, proxyTransactionId = null) {
+        await this.db('csms_message_queue').insert({
+            charge_point_id: chargePointId,
+            action,
+            payload: JSON.stringify(frame),
+            proxy_transaction_id: proxyTransactionId,
+            created_at: Math.floor(Date.now() / 1000)
+        });
+    }
+
+    async getQueuedCsmsMessages(chargePointId) {
+        return await this.db('csms_message_queue')
+            .where('charge_point_id', chargePointId)
+            .orderBy('id', 'asc');
+    }
+
+    async deleteQueuedCsmsMessage(id) {
+        await this.db('csms_message_queue').where('id', id).del();
+    }
+
+    // Local authorization list methods
+    async getIdTags() {
+        return await this.db('id_tags').select('*').orderBy('id_tag', 'asc');
+    }
+
+    async getIdTag(idTag) {
+        return await this.db('id_tags').where('id_tag', idTag).first();
+    }
+
+    async addIdTag(idTag, data) {
+        const now = Math.floor(Date.now() / 1000);
+        await this.db.transaction(async trx => {
+            const version = await nextLocalListVersion(trx);
+            await trx('id_tag_removals').where('id_tag', idTag).del();
+            await trx('id_tags').insert({
+                id_tag: idTag,
+                ...data,
+                list_version: version,
+                created_at: now,
+                updated_at: now
+            });
+        });
+    }
+
+    async updateIdTag(idTag, data) {
+        return await this.db.transaction(async trx => {
+            const existing = await trx('id_tags').where('id_tag', idTag).first();
+            if (!existing) return false;
+
+            const update = { ...data, updated_at: Math.floor(Date.now() / 1000) };
+            if (LOCAL_LIST_FIELDS.some(field => field in data && data[field] !== existing[field])) {
+                update.list_version = await nextLocalListVersion(trx);
+            }
+
+            await trx('id_tags').where('id_tag', idTag).update(update);
+            return true;
+        });
+    }
+
+    async deleteIdTag(idTag) {
+        return await this.db.transaction(async trx => {
+            const count = await trx('id_tags').where('id_tag', idTag).del();
+            if (count === 0) return false;
+
+            const version = await nextLocalListVersion(trx);
+            await trx('id_tag_removals')
+                .insert({ id_tag: idTag, list_version: version })
+                .onConflict('id_tag')
+                .merge();
+            return true;
+        });
+    }
+
+    // Current version of the local authorization list (0 until the first change)
+    async getLocalListVersion() {
+        const value = await this.getConfigValue('localListVersion');
+        return parseInt(value) || 0;
+    }
+
+    // Start a new list version without changing any tags (e.g. for the first full update of an empty list)
+    async bumpLocalListVersion() {
+        return await this.db.transaction(trx => nextLocalListVersion(trx));
+    }
+
+    // Tags added/changed and removed after the given list version, for differential updates
+    async getLocalListChanges(sinceVersion) {
+        const updated = await this.db('id_tags').where('list_version', '>', sinceVersion).orderBy('id_tag', 'asc');
+        const removed = await this.db('id_tag_removals').where('list_version', '>', sinceVersion).orderBy('id_tag', 'asc');
+        return { updated, removed };
+    }
+
+    async setChargerLocalListVersion(chargePointId, version) {
+        await this.db('chargers')
+            .where('charge_point_id', chargePointId)
+            .update({ local_list_version: version });
+    }
+
     // Auth methods
     async getUser(username) {
         return await this.db('auth_users').where('username', username).first();
     }
 
+    async getUsers() {
+        return await this.db('auth_users')
+            .select('username', 'role', 'charger_scope', 'disabled', 'created_at')
+            .orderBy('username', 'asc');
+    }
+
+    async updateUser(username, data) {
+        const count = await this.db('auth_users').where('username', username).update(data);
+        return count > 0;
+    }
+
+    async deleteUser(username) {
+        const count = await this.db('auth_users').where('username', username).del();
+        return count > 0;
+    }
+
+    async countActiveAdmins() {
+        const result = await this.db('auth_users')
+            .where({ role: 'admin', disabled: false })
+            .count('username as count')
+            .first();
+        return parseInt(result.count || 0);
+    }
+
     async updatePassword(username, passwordHash) {
         const count = await this.db('auth_users')
             .where('username', username)
@@ -168,11 +501,14 @@ class DatabaseAdapter {
         return count > 0;
     }
 
-    // Explicitly add a user (helper for init/scripts)
-    async addUser(username, passwordHash) {
+    // Explicitly add a user (helper for init/scripts). Without `role`, new users are admins
+    // and existing users keep their role.
+    async addUser(username, passwordHash, role = null) {
         const now = Math.floor(Date.now() / 1000);
+        const user = { username, password_hash: passwordHash, created_at: now };
+        if (role) user.role = role;
         await this.db('auth_users')
-            .insert({ username, password_hash: passwordHash, created_at: now })
+            .insert(user)
             .onConflict('username')
             .merge();
     }
@@ -185,6 +521,100 @@ class DatabaseAdapter {
         return parseInt(result.count || 0);
     }
 
+    // Session methods (dashboard login tokens, stored by hash)
+    async addSession(session) {
+        await this.db('auth_sessions').insert(session);
+    }
+
+    async getSession(tokenHash) {
+        return await this.db('auth_sessions').where('token_hash', tokenHash).first();
+    }
+
+    async touchSession(tokenHash, lastSeenAt) {
+        await this.db('auth_sessions').where('token_hash', tokenHash).update({ last_seen_at: lastSeenAt });
+    }
+
+    async deleteSession(tokenHash) {
+        const count = await this.db('auth_sessions').where('token_hash', tokenHash).del();
+        return count > 0;
+    }
+
+    // Revoke all sessions of a user, optionally keeping one (e.g. the session changing the password)
+    async deleteUserSessions(username, exceptTokenHash = null) {
+        const query = this.db('auth_sessions').where('username', username);
+        if (exceptTokenHash) query.whereNot('token_hash', exceptTokenHash);
+        return await query.del();
+    }
+
+    // Delete sessions past their expiry or idle since before `idleCutoff`
+    async deleteExpiredSessions(now, idleCutoff) {
+        return await this.db('auth_sessions')
+            .where('expires_at', '<=', now)
+            .orWhere('last_seen_at', '<', idleCutoff)
+            .del();
+    }
+
+    // API key methods (stored by hash)
+    async addApiKey(data) {
+        const [row] = await this.db('api_keys').insert(data).returning('id');
+        return parseInt(typeof row === 'object' ? row.id : row);
+    }
+
+    async getApiKeys() {
+        return await this.db('api_keys')
+            .select('id', 'name', 'key_prefix', 'role', 'charger_scope', 'created_by', 'created_at',
+                'expires_at', 'last_used_at', 'revoked_at')
+            .orderBy('id', 'asc');
+    }
+
+    async getApiKey(id) {
+        return await this.db('api_keys').where('id', id).first();
+    }
+
+    async getApiKeyByHash(keyHash) {
+        return await this.db('api_keys').where('key_hash', keyHash).first();
+    }
+
+    async touchApiKey(id, lastUsedAt) {
+        await this.db('api_keys').where('id', id).update({ last_used_at: lastUsedAt });
+    }
+
+    async revokeApiKey(id, revokedAt) {
+        const count = await this.db('api_keys').where('id', id).whereNull('revoked_at').update({ revoked_at: revokedAt });
+        return count > 0;
+    }
+
+    // Audit log methods
+    async addAuditEntry(entry) {
+        await this.db('audit_log').insert(entry);
+    }
+
+    async getAuditEntries(options = {}) {
+        const limit = options.limit || 100;
+        let query = this.db('audit_log').select('*');
+
+        if (options.username) {
+            query = query.where('username', options.username);
+        }
+        if (options.chargePointId) {
+            query = query.where('charge_point_id', options.chargePointId);
+        }
+        if (options.method) {
+            query = query.where('method', options.method);
+        }
+        if (options.path) {
+            query = query.where('path', 'like', `${options.path}%`);
+        }
+        if (options.from) {
+            query = query.where('timestamp', '>=', options.from);
+        }
+        if (options.to) {
+            query = query.where('timestamp', '<=', options.to);
+        }
+
+        return await query.orderBy('id', 'desc').limit(limit);
+    }
+
     // Cleanup method
     async cleanupOldLogs(retentionCount = 1000) {
         const chargers = await this.getAllChargers();
@@ -1,10 +1,8 @@
 // Database initialization and migration
 const DatabaseAdapter = require('./adapter');
 const crypto = require('crypto');
-
-function hashPassword(password) {
-    return crypto.createHash('sha256').update(password).digest('hex');
-}
+const { hashPassword } = require('../passwords');
+const { ROLES } = require('../auth');
 
 function generateRandomPassword(length = 16) {
     return crypto.randomBytes(length).toString('base64').slice(0, length);
@@ -36,7 +34,7 @@ async function init() {
                 source = 'GENERATED';
             }
 
-            const passwordHash = hashPassword(password);
+            const passwordHash = await hashPassword(password);
             await db.addUser('admin', passwordHash);
 
             console.log('='.repeat(60));
@@ -66,21 +64,25 @@ async function init() {
     }
 }
 
-// CLI usage: node init.js [username] [password]
+// CLI usage: node init.js [username] [password] [role]
 if (require.main === module) {
     const args = process.argv.slice(2);
 
     if (args.length >= 2) {
-        // Manual add user mode
-        const [username, password] = args;
+        // Manual add user mode. Without a role, new users are admins and existing users keep their role.
+        const [username, password, role] = args;
+        if (role && !ROLES.includes(role)) {
+            console.error(`Invalid role '${role}'. Use one of: ${ROLES.join(', ')}`);
+            process.exit(1);
+        }
         const db = new DatabaseAdapter();
         (async () => {
             try {
                 // Ensure migrations are run first just in case
                 await db.runMigrations();
 
-                await db.addUser(username, hashPassword(password));
-                console.log(`User '${username}' added/updated`);
+                await db.addUser(username, await hashPassword(password), role);
+                console.log(`User '${username}' added/updated${role ? ` with role ${role}` : ''}`);
             } catch (err) {
                 console.error('Failed to add user:', err);
                 process.exit(1);
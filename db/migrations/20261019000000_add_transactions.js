@@ -0,0 +1,36 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function (knex) {
+    return knex.schema.createTable('transactions', function (table) {
+        table.increments('id');
+        table.string('charge_point_id').notNullable();
+        // Stored as text: OCPP 1.6 uses integer IDs, OCPP 2.0.1 uses string IDs
+        table.string('transaction_id').notNullable();
+        table.integer('connector_id').nullable();
+        table.string('id_tag').nullable();
+        table.float('meter_start').nullable(); // Wh
+        table.float('meter_last').nullable(); // Wh, latest MeterValues reading
+        table.float('meter_stop').nullable(); // Wh
+        table.integer('start_time').nullable();
+        table.integer('stop_time').nullable();
+        table.integer('duration').nullable(); // seconds
+        table.float('energy').nullable(); // Wh
+        table.string('stop_reason').nullable();
+        table.string('status').notNullable().defaultTo('ACTIVE'); // 'ACTIVE' or 'COMPLETED'
+        table.integer('updated_at').notNullable();
+
+        table.unique(['charge_point_id', 'transaction_id']);
+        table.index(['charge_point_id', 'start_time']);
+        table.index(['start_time']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+    return knex.schema.dropTableIfExists('transactions');
+};
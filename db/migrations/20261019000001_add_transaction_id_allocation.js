@@ -0,0 +1,40 @@
+// Proxy-issued transaction IDs start here to keep them apart from typical CSMS ranges
+const FIRST_PROXY_TRANSACTION_ID = 100000;
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    // Sequence table: every row is one transaction ID handed out in standalone mode
+    await knex.schema.createTable('proxy_transaction_ids', function (table) {
+        table.increments('id');
+        table.string('charge_point_id').notNullable();
+        table.integer('created_at').notNullable();
+    });
+
+    const isPostgres = knex.client.config.client === 'pg';
+    if (isPostgres) {
+        await knex.raw(`ALTER SEQUENCE proxy_transaction_ids_id_seq RESTART WITH ${FIRST_PROXY_TRANSACTION_ID}`);
+    } else {
+        await knex.raw(`INSERT INTO sqlite_sequence (name, seq) VALUES ('proxy_transaction_ids', ${FIRST_PROXY_TRANSACTION_ID - 1})`);
+    }
+
+    // Track where a transaction ID came from and the CSMS ID it was reconciled with
+    await knex.schema.table('transactions', function (table) {
+        table.string('id_source').notNullable().defaultTo('CSMS'); // 'CSMS', 'CHARGER' (OCPP 2.0.1) or 'PROXY'
+        table.string('csms_transaction_id').nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.table('transactions', function (table) {
+        table.dropColumn('id_source');
+        table.dropColumn('csms_transaction_id');
+    });
+    await knex.schema.dropTableIfExists('proxy_transaction_ids');
+};
@@ -0,0 +1,25 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function (knex) {
+    // Transaction messages answered by the proxy while the CSMS was down, replayed in id order
+    return knex.schema.createTable('csms_message_queue', function (table) {
+        table.increments('id');
+        table.string('charge_point_id').notNullable();
+        table.string('action').notNullable();
+        table.text('payload').notNullable(); // Original OCPP call frame (JSON)
+        table.integer('proxy_transaction_id').nullable(); // ID the proxy issued for a queued StartTransaction
+        table.integer('created_at').notNullable();
+
+        table.index(['charge_point_id', 'id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+    return knex.schema.dropTableIfExists('csms_message_queue');
+};
@@ -0,0 +1,24 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function (knex) {
+    // Local authorization list used when the proxy answers Authorize/StartTransaction itself
+    return knex.schema.createTable('id_tags', function (table) {
+        table.string('id_tag').primary();
+        table.string('status').notNullable().defaultTo('Accepted'); // OCPP AuthorizationStatus
+        table.integer('expiry_date').nullable(); // Unix timestamp
+        table.string('parent_id_tag').nullable();
+        table.string('description').nullable();
+        table.integer('created_at').notNullable();
+        table.integer('updated_at').notNullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+    return knex.schema.dropTableIfExists('id_tags');
+};
@@ -0,0 +1,35 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    // Version of the local authorization list at which each tag last changed, used for differential updates
+    await knex.schema.table('id_tags', function (table) {
+        table.integer('list_version').notNullable().defaultTo(0);
+    });
+
+    // Tags removed from the local authorization list, so differential updates can remove them from chargers
+    await knex.schema.createTable('id_tag_removals', function (table) {
+        table.string('id_tag').primary();
+        table.integer('list_version').notNullable();
+    });
+
+    // Local list version last reported by the charger (GetLocalListVersion) or accepted via SendLocalList
+    await knex.schema.table('chargers', function (table) {
+        table.integer('local_list_version').nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.table('chargers', function (table) {
+        table.dropColumn('local_list_version');
+    });
+    await knex.schema.dropTableIfExists('id_tag_removals');
+    await knex.schema.table('id_tags', function (table) {
+        table.dropColumn('list_version');
+    });
+};
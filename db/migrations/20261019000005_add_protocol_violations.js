@@ -0,0 +1,29 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = function (knex) {
+    // Schema violations found in proxied traffic (one row per error)
+    return knex.schema.createTable('protocol_violations', function (table) {
+        table.increments('id');
+        table.string('charge_point_id').notNullable();
+        table.integer('log_id').nullable(); // logs.id of the offending message
+        table.string('direction').notNullable(); // 'UPSTREAM' (charger) or 'DOWNSTREAM' (CSMS)
+        table.string('action').nullable();
+        table.string('message_id').nullable();
+        table.string('error_path').notNullable(); // JSON pointer into the payload
+        table.text('error_message').notNullable();
+        table.integer('timestamp').notNullable();
+
+        table.index(['charge_point_id', 'timestamp']);
+        table.index(['log_id']);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = function (knex) {
+    return knex.schema.dropTableIfExists('protocol_violations');
+};
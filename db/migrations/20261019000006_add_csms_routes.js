@@ -0,0 +1,38 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    // Upstream CSMS per charger, charger group or charge point ID pattern (global targetCsmsUrl is the fallback)
+    await knex.schema.createTable('csms_routes', function (table) {
+        table.increments('id');
+        table.string('match_type').notNullable(); // 'CHARGER', 'GROUP' or 'PATTERN'
+        table.string('match_value').notNullable(); // Charge point ID, group name or glob pattern (e.g. 'ACME-*')
+        table.integer('priority').notNullable().defaultTo(0); // Higher wins among matching patterns
+        table.string('target_url').notNullable();
+        table.string('protocol').nullable(); // Subprotocol offered to the CSMS instead of the charger's
+        table.string('username').nullable(); // Basic auth towards the CSMS (defaults to the charge point ID)
+        table.string('password').nullable();
+        table.boolean('enabled').notNullable().defaultTo(true);
+        table.string('description').nullable();
+        table.integer('created_at').notNullable();
+        table.integer('updated_at').notNullable();
+
+        table.index(['match_type', 'match_value']);
+    });
+
+    await knex.schema.table('chargers', function (table) {
+        table.string('csms_group').nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.table('chargers', function (table) {
+        table.dropColumn('csms_group');
+    });
+    await knex.schema.dropTableIfExists('csms_routes');
+};
@@ -0,0 +1,23 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    // Per-charger mirror CSMS: mirror_url overrides the global mirrorCsmsUrl,
+    // mirror_enabled false opts the charger out (null follows the global setting)
+    await knex.schema.table('chargers', function (table) {
+        table.string('mirror_url').nullable();
+        table.boolean('mirror_enabled').nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.table('chargers', function (table) {
+        table.dropColumn('mirror_url');
+        table.dropColumn('mirror_enabled');
+    });
+};
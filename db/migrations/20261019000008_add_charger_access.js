@@ -0,0 +1,22 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    // Charger authentication at the WebSocket upgrade: Basic auth password (AuthorizationKey) and allow/deny lists
+    await knex.schema.createTable('charger_access', function (table) {
+        table.string('charge_point_id').primary();
+        table.string('password_hash').nullable();
+        table.string('list').nullable(); // 'ALLOW', 'DENY' or null
+        table.integer('created_at').notNullable();
+        table.integer('updated_at').notNullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('charger_access');
+};
@@ -0,0 +1,23 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    // Dashboard sessions issued by POST /api/login. Only a hash of the token is stored.
+    await knex.schema.createTable('auth_sessions', function (table) {
+        table.string('token_hash').primary();
+        table.string('username').notNullable().index();
+        table.integer('created_at').notNullable();
+        table.integer('last_seen_at').notNullable();
+        table.integer('expires_at').notNullable();
+        table.string('remote_address').nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('auth_sessions');
+};
@@ -0,0 +1,22 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    // Role-based access control. Existing users keep full access as admins.
+    await knex.schema.table('auth_users', function (table) {
+        table.string('role').notNullable().defaultTo('admin'); // 'viewer', 'operator' or 'admin'
+        table.text('charger_scope').nullable(); // Comma-separated charge point IDs; null = all chargers
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.table('auth_users', function (table) {
+        table.dropColumn('role');
+        table.dropColumn('charger_scope');
+    });
+};
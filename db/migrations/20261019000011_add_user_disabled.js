@@ -0,0 +1,20 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    // Disabled users keep their account but cannot sign in or use existing sessions
+    await knex.schema.table('auth_users', function (table) {
+        table.boolean('disabled').notNullable().defaultTo(false);
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.table('auth_users', function (table) {
+        table.dropColumn('disabled');
+    });
+};
@@ -0,0 +1,29 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    // API keys for scripts and integrations, sent as `Authorization: Bearer <key>`. Only a hash of
+    // the key is stored; key_prefix identifies it in listings and logs.
+    await knex.schema.createTable('api_keys', function (table) {
+        table.increments('id').primary();
+        table.string('name').notNullable();
+        table.string('key_prefix').notNullable();
+        table.string('key_hash').notNullable().unique();
+        table.string('role').notNullable(); // 'viewer', 'operator' or 'admin'
+        table.text('charger_scope').nullable(); // Comma-separated charge point IDs; null = all chargers
+        table.string('created_by').nullable();
+        table.integer('created_at').notNullable();
+        table.integer('expires_at').nullable();
+        table.integer('last_used_at').nullable();
+        table.integer('revoked_at').nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('api_keys');
+};
@@ -0,0 +1,28 @@
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.up = async function (knex) {
+    // Who changed what through the API: one row per mutating request (POST/PUT/PATCH/DELETE)
+    await knex.schema.createTable('audit_log', function (table) {
+        table.increments('id').primary();
+        table.integer('timestamp').notNullable().index();
+        table.string('username').nullable().index(); // null when authentication failed
+        table.string('remote_address').nullable();
+        table.string('method').notNullable();
+        table.string('path').notNullable();
+        table.string('route').nullable(); // Express route pattern, e.g. /api/inject/:cpId
+        table.string('charge_point_id').nullable().index();
+        table.text('request_body').nullable(); // JSON, passwords and keys redacted
+        table.integer('status_code').nullable();
+        table.text('error').nullable();
+    });
+};
+
+/**
+ * @param { import("knex").Knex } knex
+ * @returns { Promise<void> }
+ */
+exports.down = async function (knex) {
+    await knex.schema.dropTableIfExists('audit_log');
+};
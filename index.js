@@ -1,25 +1,98 @@
 require('dotenv').config();
 const express = require('express');
 const http = require('http');
+const https = require('https');
 const WebSocket = require('ws');
 const crypto = require('crypto');
 const path = require('path');
 const DatabaseAdapter = require('./db/adapter');
 const logger = require('./logger');
-const { createAuthMiddleware, hashPassword } = require('./auth');
+const {
+    ROLES, createAuthMiddleware, createSessionManager, createApiKeyManager, createLoginThrottle, createReauthenticator, authenticateUser, requireRole,
+    requireChargerAccess, requireUnscoped, canAccessCharger, parseChargerScope, createChargerAuthenticator
+} = require('./auth');
+const { hashPassword, verifyPassword } = require('./passwords');
+const ocpp = require('./ocpp');
+const { createTransactionRecorder } = require('./transactions');
+const { createEventStream } = require('./stream');
+const schemas = require('./schemas');
+const { createTrafficValidator } = require('./violations');
+const { createCsmsRouter, MATCH_TYPES } = require('./routing');
+const { backoffDelay, circuitKey, createCircuitBreakers, OPEN: CIRCUIT_OPEN } = require('./reconnect');
+const { createAuditMiddleware } = require('./audit');
+const { createMetrics, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { loadTlsOptions, checkClientCertificate, loadCsmsTlsOptions, skipsTlsVerification } = require('./certificates');
 
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'db/oye-proxy.db');
 const PORT = process.env.PORT || 8080;
 const DEBUG = process.env.DEBUG === 'true';
 
-// CSMS reconnection configuration
+// TLS listener (wss:// and https://), enabled by TLS_CERT_FILE and TLS_KEY_FILE.
+// TLS_CA_FILE enables client certificates (OCPP Security Profile 3).
+const TLS_PORT = parseInt(process.env.TLS_PORT) || 8443;
+const TLS_ONLY = process.env.TLS_ONLY === 'true'; // Do not open the plain HTTP listener
+const TLS_CLIENT_CERT_REQUIRED = process.env.TLS_CLIENT_CERT_REQUIRED !== 'false'; // With TLS_CA_FILE
+const tlsOptions = loadTlsOptions();
+
+// Outbound TLS towards the CSMS and mirror CSMS: CSMS_TLS_CA_FILE trusts extra CAs,
+// CSMS_TLS_CERT_FILE / CSMS_TLS_KEY_FILE present a client certificate (mutual TLS)
+const csmsTlsOptions = loadCsmsTlsOptions();
+
+// CSMS reconnection configuration. Reconnection never gives up while the charger is connected;
+// after CSMS_RECONNECT_MAX_ATTEMPTS failed attempts the proxy stops buffering and answers the charger itself.
 const CSMS_RECONNECT_MAX_ATTEMPTS = parseInt(process.env.CSMS_RECONNECT_MAX_ATTEMPTS) || 3;
 const CSMS_RECONNECT_BASE_DELAY = parseInt(process.env.CSMS_RECONNECT_BASE_DELAY) || 1000; // ms
+const CSMS_RECONNECT_MAX_DELAY = parseInt(process.env.CSMS_RECONNECT_MAX_DELAY) || 60000; // ms, backoff cap
+const CSMS_CONNECT_TIMEOUT = parseInt(process.env.CSMS_CONNECT_TIMEOUT) || 10000; // ms for the WebSocket handshake
+const CSMS_REPLAY_TIMEOUT = parseInt(process.env.CSMS_REPLAY_TIMEOUT) || 30000; // ms to wait for each replayed message
+
+// Circuit breaker per CSMS: opens after this many consecutive failed connection attempts (across all
+// chargers), then allows a single probe attempt every CSMS_CIRCUIT_RESET_TIMEOUT ms until one succeeds
+const CSMS_CIRCUIT_FAILURE_THRESHOLD = parseInt(process.env.CSMS_CIRCUIT_FAILURE_THRESHOLD) || 5;
+const CSMS_CIRCUIT_RESET_TIMEOUT = parseInt(process.env.CSMS_CIRCUIT_RESET_TIMEOUT) || 30000;
+
+// Dashboard sessions end after this long without API requests, and at the latest this long after login
+const SESSION_IDLE_TIMEOUT_MINUTES = parseInt(process.env.SESSION_IDLE_TIMEOUT_MINUTES) || 30;
+const SESSION_MAX_AGE_HOURS = parseInt(process.env.SESSION_MAX_AGE_HOURS) || 12;
+
+// Failed sign-ins before a username / client IP is locked out, and for how long
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Reverse proxies trusted to report the client IP in X-Forwarded-For (Express 'trust proxy'): 'true'
+// for any, a number of proxy hops, or comma-separated addresses/subnets. Unset, the socket address
+// is the client IP - behind a proxy all clients would then share one IP for the sign-in limits.
+const TRUST_PROXY = (() => {
+    const value = (process.env.TRUST_PROXY || '').trim();
+    if (!value || value === 'false') return false;
+    if (value === 'true') return true;
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+})();
+
+// ms to wait for a charger to answer a proxy-originated call before the API gives up
+const CHARGER_RESPONSE_TIMEOUT = parseInt(process.env.CHARGER_RESPONSE_TIMEOUT) || 30000;
+
+// Transaction messages the proxy answers while the CSMS is down, queued and replayed to the CSMS later
+const STORE_AND_FORWARD_ACTIONS = ['StartTransaction', 'StopTransaction', 'MeterValues', 'TransactionEvent'];
 
 // Initialize database
 const db = new DatabaseAdapter();
+const transactionRecorder = createTransactionRecorder(db);
+const eventStream = createEventStream();
+const trafficValidator = createTrafficValidator();
+const metrics = createMetrics();
+const circuitBreakers = createCircuitBreakers({
+    failureThreshold: CSMS_CIRCUIT_FAILURE_THRESHOLD,
+    resetTimeout: CSMS_CIRCUIT_RESET_TIMEOUT
+});
+const csmsRouter = createCsmsRouter(db, {
+    getDefaultUrl: () => TARGET_CSMS_URL,
+    getMirrorUrl: () => MIRROR_CSMS_URL
+});
 
 const app = express();
+app.set('trust proxy', TRUST_PROXY);
 app.use(express.json());
 
 // Runtime config (loaded from database)
@@ -27,6 +100,16 @@ let TARGET_CSMS_URL = 'ws://localhost/ocpp';
 let CSMS_FORWARDING_ENABLED = false;
 let AUTO_CHARGE_ENABLED = false;
 let DEFAULT_ID_TAG = 'ADMIN_TAG';
+let VALIDATE_TRAFFIC = false;
+let MIRROR_CSMS_URL = ''; // Secondary CSMS receiving a read-only copy of charger traffic (empty = off)
+let CHARGER_AUTH_REQUIRED = false; // Chargers must send Basic credentials (or a verified client certificate)
+let CHARGER_ALLOW_LIST_ENABLED = false; // Only charge point IDs on the allow-list may connect
+let CSMS_TLS_INSECURE_HOSTS = []; // CSMS hosts whose TLS certificate is not verified
+
+// Parse the stored comma-separated host list
+function parseHostList(value) {
+    return (value || '').split(',').map(host => host.trim()).filter(Boolean);
+}
 
 // Load configuration from database
 async function loadConfig() {
@@ -38,13 +121,26 @@ async function loadConfig() {
         CSMS_FORWARDING_ENABLED = config.csmsForwardingEnabled === 'true';
         AUTO_CHARGE_ENABLED = config.autoChargeEnabled === 'true';
         DEFAULT_ID_TAG = config.defaultIdTag || 'ADMIN_TAG';
+        VALIDATE_TRAFFIC = config.validateTraffic === 'true';
+        MIRROR_CSMS_URL = config.mirrorCsmsUrl || '';
+        CHARGER_AUTH_REQUIRED = config.chargerAuthRequired === 'true';
+        CHARGER_ALLOW_LIST_ENABLED = config.chargerAllowListEnabled === 'true';
+        CSMS_TLS_INSECURE_HOSTS = parseHostList(config.csmsTlsInsecureHosts);
 
         logger('INFO', 'Config loaded from database', {
             targetCsmsUrl: TARGET_CSMS_URL,
             csmsForwardingEnabled: CSMS_FORWARDING_ENABLED,
             autoChargeEnabled: AUTO_CHARGE_ENABLED,
-            defaultIdTag: DEFAULT_ID_TAG
+            defaultIdTag: DEFAULT_ID_TAG,
+            validateTraffic: VALIDATE_TRAFFIC,
+            mirrorCsmsUrl: MIRROR_CSMS_URL || null,
+            chargerAuthRequired: CHARGER_AUTH_REQUIRED,
+            chargerAllowListEnabled: CHARGER_ALLOW_LIST_ENABLED,
+            csmsTlsInsecureHosts: CSMS_TLS_INSECURE_HOSTS
         });
+        if (CSMS_TLS_INSECURE_HOSTS.length > 0) {
+            logger('WARNING', 'TLS certificate verification disabled for CSMS hosts', { hosts: CSMS_TLS_INSECURE_HOSTS });
+        }
     } catch (err) {
         logger('ERROR', 'Failed to load config from database, using defaults', {
             error: err.message
@@ -52,12 +148,15 @@ async function loadConfig() {
     }
 }
 
+// TLS options for a connection to a CSMS or mirror CSMS URL. Certificates are verified
+// unless the URL's host is listed in the csmsTlsInsecureHosts config.
+function csmsTlsOptionsFor(url) {
+    return { ...csmsTlsOptions, rejectUnauthorized: !skipsTlsVerification(url, CSMS_TLS_INSECURE_HOSTS) };
+}
+
 // STATE: Store active connections AND tracked IDs
 const clients = new Map();
 
-// Transaction ID counter for offline transactions
-let transactionIdCounter = 100000;
-
 // -----------------------------------------------------------------------------
 // REST API
 // -----------------------------------------------------------------------------
@@ -72,58 +171,534 @@ app.get('/health', (req, res) => {
 });
 
 // Auth middleware for protected routes
-const requireAuth = createAuthMiddleware(db);
+const sessions = createSessionManager(db, {
+    idleTimeout: SESSION_IDLE_TIMEOUT_MINUTES * 60,
+    maxAge: SESSION_MAX_AGE_HOURS * 3600
+});
+const apiKeys = createApiKeyManager(db);
+const loginThrottle = createLoginThrottle({
+    maxFailures: LOGIN_MAX_FAILURES,
+    maxFailuresPerIp: LOGIN_MAX_FAILURES_PER_IP,
+    lockoutSeconds: LOGIN_LOCKOUT_MINUTES * 60
+});
+const requireAuth = createAuthMiddleware(db, { sessions, apiKeys, loginThrottle });
+const reauthenticate = createReauthenticator(db, { sessions, apiKeys });
+const requireOperator = requireRole('operator');
+const requireAdmin = requireRole('admin');
+
+// Charger authentication at the WebSocket upgrade
+const chargerAuthenticator = createChargerAuthenticator(db, () => ({
+    authRequired: CHARGER_AUTH_REQUIRED,
+    allowListEnabled: CHARGER_ALLOW_LIST_ENABLED
+}));
+
+// Record every mutating API request in the audit log
+app.use(createAuditMiddleware(db));
+
+// Parse a log row's payload JSON string back to an object
+function formatLog(log) {
+    return {
+        ...log,
+        payload: typeof log.payload === 'string' ? JSON.parse(log.payload) : log.payload
+    };
+}
 
-// Get logs (for dashboard polling)
+// Attach recorded schema violations to log entries as `violations: [{ action, messageId, path, message }]`
+async function withViolations(logs) {
+    const rows = await db.getViolationsForLogs(logs.map(log => log.id));
+    const byLog = new Map();
+    rows.forEach(row => {
+        if (!byLog.has(row.log_id)) byLog.set(row.log_id, []);
+        byLog.get(row.log_id).push({
+            action: row.action,
+            messageId: row.message_id,
+            path: row.error_path,
+            message: row.error_message
+        });
+    });
+
+    return logs.map(log => byLog.has(log.id) ? { ...log, violations: byLog.get(log.id) } : log);
+}
+
+// Get logs (initial dashboard load and catch-up)
 app.get('/api/logs', requireAuth, async (req, res) => {
     try {
-        const { chargePointId, limit, since } = req.query;
+        const { chargePointId, limit, since, afterId } = req.query;
+        if (chargePointId && !canAccessCharger(req.user, chargePointId)) {
+            return res.status(403).json({ error: `No access to charger ${chargePointId}` });
+        }
         const logs = await db.getLogs({
             chargePointId,
+            chargePointIds: req.user.chargerScope,
             limit: parseInt(limit) || 100,
-            since: parseInt(since)
+            since: parseInt(since),
+            afterId: parseInt(afterId)
         });
 
-        // Parse payload JSON strings back to objects
-        const parsedLogs = logs.map(log => ({
-            ...log,
-            payload: typeof log.payload === 'string' ? JSON.parse(log.payload) : log.payload
-        }));
-
-        res.json(parsedLogs);
+        res.json(await withViolations(logs.map(formatLog)));
     } catch (err) {
         logger('ERROR', 'Failed to fetch logs', { error: err.message });
         res.status(500).json({ error: err.message });
     }
 });
 
+// CSMS connection state of a connected charger:
+// STANDALONE (forwarding disabled), CONNECTED, CONNECTING, WAITING (backoff), CIRCUIT_OPEN or DISCONNECTED
+function csmsStatus(connection) {
+    const socket = connection.csmsSocket;
+    const target = connection.csmsTarget ? connection.csmsTarget.url : null;
+
+    let state = 'DISCONNECTED';
+    if (!CSMS_FORWARDING_ENABLED) {
+        state = 'STANDALONE';
+    } else if (socket && socket.readyState === WebSocket.OPEN) {
+        state = 'CONNECTED';
+    } else if (socket && socket.readyState === WebSocket.CONNECTING) {
+        state = 'CONNECTING';
+    } else if (connection.reconnectTimer) {
+        state = target && circuitBreakers.state(circuitKey(target)) === CIRCUIT_OPEN ? 'CIRCUIT_OPEN' : 'WAITING';
+    }
+
+    return {
+        state,
+        target,
+        attempt: connection.reconnectAttempt,
+        nextAttemptAt: connection.nextReconnectAt ? Math.floor(connection.nextReconnectAt / 1000) : null,
+        connectedAt: connection.csmsConnectedAt,
+        lastError: connection.lastCsmsError
+    };
+}
+
+// Update a charger row's status based on live connection state
+function chargerSnapshot(charger) {
+    const connection = clients.get(charger.charge_point_id);
+    const isOnline = connection &&
+        connection.chargerSocket &&
+        connection.chargerSocket.readyState === WebSocket.OPEN;
+
+    return {
+        ...charger,
+        status: isOnline ? 'ONLINE' : 'OFFLINE',
+        protocol: isOnline ? connection.protocol || null : null,
+        clientCertificate: isOnline ? connection.clientCertificate : null,
+        csms: isOnline ? csmsStatus(connection) : null
+    };
+}
+
+// Prometheus metrics. Scrape with an API key (viewer role is enough); per-charger series are limited
+// to the key's charger scope.
+app.get('/metrics', requireAuth, (req, res) => {
+    const chargers = [];
+    clients.forEach((connection, cpId) => {
+        if (!connection.chargerSocket || connection.chargerSocket.readyState !== WebSocket.OPEN) return;
+        if (!canAccessCharger(req.user, cpId)) return;
+        chargers.push({
+            chargePointId: cpId,
+            csmsState: csmsStatus(connection).state,
+            bufferedMessages: connection.messageBuffer.length
+        });
+    });
+
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render({ chargers }));
+});
+
+// Most missed logs replayed to a reconnecting dashboard stream; beyond that it gets a `reset` event
+const STREAM_CATCH_UP_LIMIT = 1000;
+
+// Live dashboard feed (Server-Sent Events): `log` events for every logged message and `charger`
+// events on connect/disconnect. Reconnecting clients send Last-Event-ID to receive missed logs.
+// The stream re-checks its credentials periodically and after logouts and user or API key changes:
+// it ends once they are no longer valid, and follows role and charger scope changes.
+app.get('/api/stream', requireAuth, async (req, res) => {
+    let user = req.user;
+    // Both event types carry the charger's charge_point_id
+    const subscriber = eventStream.subscribe(req, res, {
+        filter: (event, data) => canAccessCharger(user, data.charge_point_id),
+        revalidate: async () => {
+            user = await reauthenticate(req);
+            return user !== null;
+        }
+    });
+
+    const lastEventId = parseInt(req.headers['last-event-id']);
+    if (lastEventId) {
+        try {
+            // Oldest first, one more than the limit to tell whether all missed logs fit
+            const missed = await db.getLogs({
+                afterId: lastEventId,
+                limit: STREAM_CATCH_UP_LIMIT + 1,
+                order: 'asc',
+                chargePointIds: user.chargerScope
+            });
+            if (missed.length > STREAM_CATCH_UP_LIMIT) {
+                // Too many to replay: the client reloads the latest logs instead
+                subscriber.sendNow('reset', { afterId: lastEventId });
+            } else {
+                (await withViolations(missed.map(formatLog))).forEach(log => subscriber.sendNow('log', log, log.id));
+            }
+        } catch (err) {
+            logger('ERROR', 'Failed to replay missed logs to dashboard stream', { error: err.message });
+        }
+    }
+
+    subscriber.resume();
+});
+
+// Get schema violations found in proxied traffic (enable with the validateTraffic config option)
+app.get('/api/violations', requireAuth, async (req, res) => {
+    try {
+        const { chargePointId, direction, action, limit } = req.query;
+        if (chargePointId && !canAccessCharger(req.user, chargePointId)) {
+            return res.status(403).json({ error: `No access to charger ${chargePointId}` });
+        }
+        const violations = await db.getProtocolViolations({
+            chargePointId,
+            chargePointIds: req.user.chargerScope,
+            direction,
+            action,
+            limit: parseInt(limit) || 100
+        });
+        res.json(violations);
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch protocol violations', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Get chargers status
 app.get('/api/chargers', requireAuth, async (req, res) => {
     try {
         const chargers = await db.getAllChargers();
 
-        // Update status based on live connection state
-        const enrichedChargers = chargers.map(charger => {
-            const connection = clients.get(charger.charge_point_id);
-            const isOnline = connection &&
-                connection.chargerSocket &&
-                connection.chargerSocket.readyState === WebSocket.OPEN;
+        res.json(chargers.filter(charger => canAccessCharger(req.user, charger.charge_point_id)).map(chargerSnapshot));
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch chargers', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
 
-            return {
-                ...charger,
-                status: isOnline ? 'ONLINE' : 'OFFLINE'
-            };
+// CSMS connection state of connected chargers and the per-CSMS circuit breakers
+app.get('/api/csms-connections', requireAuth, (req, res) => {
+    const chargers = Array.from(clients.entries())
+        .filter(([chargePointId]) => canAccessCharger(req.user, chargePointId))
+        .map(([chargePointId, connection]) => ({
+            chargePointId,
+            ...csmsStatus(connection)
+        }));
+    res.json({ circuits: circuitBreakers.list(), chargers });
+});
+
+// Get transactions (built from proxied StartTransaction/StopTransaction/TransactionEvent traffic)
+app.get('/api/transactions', requireAuth, async (req, res) => {
+    try {
+        const { chargePointId, status, from, to, limit } = req.query;
+        if (chargePointId && !canAccessCharger(req.user, chargePointId)) {
+            return res.status(403).json({ error: `No access to charger ${chargePointId}` });
+        }
+        const transactions = await db.getTransactions({
+            chargePointId,
+            chargePointIds: req.user.chargerScope,
+            status,
+            from: parseInt(from),
+            to: parseInt(to),
+            limit: parseInt(limit) || 100
         });
+        res.json(transactions);
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch transactions', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Reconcile a proxy-issued transaction ID with the ID the CSMS assigned to the same session
+app.post('/api/transactions/:cpId/:transactionId/reconcile', requireAuth, requireOperator, requireChargerAccess, async (req, res) => {
+    const { cpId, transactionId } = req.params;
+    const { csmsTransactionId } = req.body;
 
-        res.json(enrichedChargers);
+    if (csmsTransactionId === undefined || csmsTransactionId === null || csmsTransactionId === '') {
+        return res.status(400).json({ error: 'csmsTransactionId is required' });
+    }
+
+    try {
+        const updated = await transactionRecorder.reconcile(cpId, transactionId, csmsTransactionId);
+        if (!updated) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+        res.json({ success: true });
     } catch (err) {
-        logger('ERROR', 'Failed to fetch chargers', { error: err.message });
+        logger('ERROR', 'Failed to reconcile transaction', { chargePointId: cpId, transactionId, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Local authorization list - consulted for Authorize/StartTransaction when the proxy answers without a CSMS
+function idTagResponse(row) {
+    return {
+        idTag: row.id_tag,
+        status: row.status,
+        expiryDate: row.expiry_date ? new Date(row.expiry_date * 1000).toISOString() : null,
+        parentIdTag: row.parent_id_tag,
+        description: row.description,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Validate an id tag request body and convert it to column values. Returns { error } or { data }.
+function parseIdTagBody(body) {
+    const { status, expiryDate, parentIdTag, description } = body;
+    const data = {};
+
+    if (status !== undefined) {
+        if (!ocpp.AUTHORIZATION_STATUSES.includes(status)) {
+            return { error: `status must be one of: ${ocpp.AUTHORIZATION_STATUSES.join(', ')}` };
+        }
+        data.status = status;
+    }
+
+    if (expiryDate !== undefined) {
+        if (expiryDate === null || expiryDate === '') {
+            data.expiry_date = null;
+        } else {
+            const ms = Date.parse(expiryDate);
+            if (isNaN(ms)) {
+                return { error: 'expiryDate must be an ISO 8601 date' };
+            }
+            data.expiry_date = Math.floor(ms / 1000);
+        }
+    }
+
+    if (parentIdTag !== undefined) {
+        if (parentIdTag && String(parentIdTag).length > 20) {
+            return { error: 'parentIdTag must be at most 20 characters' };
+        }
+        data.parent_id_tag = parentIdTag || null;
+    }
+
+    if (description !== undefined) {
+        data.description = description || null;
+    }
+
+    return { data };
+}
+
+app.get('/api/id-tags', requireAuth, async (req, res) => {
+    try {
+        const idTags = await db.getIdTags();
+        res.json(idTags.map(idTagResponse));
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch id tags', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.get('/api/id-tags/:idTag', requireAuth, async (req, res) => {
+    try {
+        const idTag = await db.getIdTag(req.params.idTag);
+        if (!idTag) {
+            return res.status(404).json({ error: 'idTag not found' });
+        }
+        res.json(idTagResponse(idTag));
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch id tag', { idTag: req.params.idTag, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/id-tags', requireAuth, requireOperator, requireUnscoped, async (req, res) => {
+    const { idTag } = req.body;
+
+    // OCPP 1.6 IdToken is CiString20Type (2.0.1 allows 36); the list is sent to chargers of both versions
+    if (!idTag || typeof idTag !== 'string' || idTag.length > 20) {
+        return res.status(400).json({ error: 'idTag is required and must be at most 20 characters' });
+    }
+
+    const { error, data } = parseIdTagBody(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        if (await db.getIdTag(idTag)) {
+            return res.status(409).json({ error: 'idTag already exists' });
+        }
+
+        await db.addIdTag(idTag, data);
+        logger('INFO', 'idTag added to local authorization list', { idTag, status: data.status || 'Accepted' });
+        res.status(201).json(idTagResponse(await db.getIdTag(idTag)));
+    } catch (err) {
+        logger('ERROR', 'Failed to add id tag', { idTag, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/id-tags/:idTag', requireAuth, requireOperator, requireUnscoped, async (req, res) => {
+    const { idTag } = req.params;
+    const { error, data } = parseIdTagBody(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const updated = await db.updateIdTag(idTag, data);
+        if (!updated) {
+            return res.status(404).json({ error: 'idTag not found' });
+        }
+        logger('INFO', 'idTag updated in local authorization list', { idTag, ...data });
+        res.json(idTagResponse(await db.getIdTag(idTag)));
+    } catch (err) {
+        logger('ERROR', 'Failed to update id tag', { idTag, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/id-tags/:idTag', requireAuth, requireOperator, requireUnscoped, async (req, res) => {
+    const { idTag } = req.params;
+    try {
+        const deleted = await db.deleteIdTag(idTag);
+        if (!deleted) {
+            return res.status(404).json({ error: 'idTag not found' });
+        }
+        logger('INFO', 'idTag removed from local authorization list', { idTag });
+        res.json({ success: true });
+    } catch (err) {
+        logger('ERROR', 'Failed to delete id tag', { idTag, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Local list sync - push the local authorization list to chargers with SendLocalList
+function localListEntry(row) {
+    return {
+        idTag: row.id_tag,
+        status: row.status,
+        expiryDate: row.expiry_date ? new Date(row.expiry_date * 1000).toISOString() : undefined,
+        parentIdTag: row.parent_id_tag || undefined
+    };
+}
+
+// Versions of the local authorization list on all known chargers
+app.get('/api/local-list', requireAuth, async (req, res) => {
+    try {
+        const listVersion = await db.getLocalListVersion();
+        const chargers = await db.getAllChargers();
+
+        res.json({
+            listVersion,
+            chargers: chargers.filter(charger => canAccessCharger(req.user, charger.charge_point_id)).map(charger => ({
+                chargePointId: charger.charge_point_id,
+                localListVersion: charger.local_list_version,
+                upToDate: charger.local_list_version === listVersion
+            }))
+        });
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch local list status', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Ask a charger for its local list version (GetLocalListVersion)
+app.get('/api/chargers/:cpId/local-list', requireAuth, requireChargerAccess, async (req, res) => {
+    const { cpId } = req.params;
+    const connection = clients.get(cpId);
+
+    if (!connection || !connection.chargerSocket || connection.chargerSocket.readyState !== WebSocket.OPEN) {
+        return res.status(503).json({ error: 'Charger not connected' });
+    }
+
+    try {
+        const { messageId, response } = await injectCall(cpId, 'GetLocalListVersion', {});
+        const frame = await response;
+        if (!frame) {
+            return res.status(504).json({ error: 'Charger did not respond', messageId });
+        }
+        if (frame[0] === 4) {
+            return res.status(502).json({ error: `Charger rejected GetLocalListVersion: ${frame[2]}`, messageId, details: frame[3] });
+        }
+
+        const localListVersion = ocpp.getLocalListVersion(frame[2]);
+        const listVersion = await db.getLocalListVersion();
+        res.json({ localListVersion, listVersion, upToDate: localListVersion === listVersion });
+    } catch (err) {
+        logger('ERROR', 'Failed to query local list version', { chargePointId: cpId, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Send the local authorization list to a charger (SendLocalList).
+// A Full update replaces the charger's list; a Differential update only sends the tags changed
+// or removed since the version the charger last reported.
+app.post('/api/chargers/:cpId/local-list', requireAuth, requireOperator, requireChargerAccess, async (req, res) => {
+    const { cpId } = req.params;
+    const updateType = req.body.updateType || 'Full';
+    const connection = clients.get(cpId);
+
+    if (updateType !== 'Full' && updateType !== 'Differential') {
+        return res.status(400).json({ error: 'updateType must be Full or Differential' });
+    }
+
+    if (!connection || !connection.chargerSocket || connection.chargerSocket.readyState !== WebSocket.OPEN) {
+        return res.status(503).json({ error: 'Charger not connected' });
+    }
+
+    try {
+        let listVersion = await db.getLocalListVersion();
+        let entries;
+
+        if (updateType === 'Full') {
+            // Charger list versions start at 1; 0 means "no list"
+            if (listVersion === 0) listVersion = await db.bumpLocalListVersion();
+            entries = (await db.getIdTags()).map(localListEntry);
+        } else {
+            const charger = await db.getCharger(cpId);
+            const chargerVersion = charger ? charger.local_list_version : null;
+
+            if (!chargerVersion || chargerVersion > listVersion) {
+                return res.status(409).json({
+                    error: 'Charger list version unknown or not based on this list, send a Full update',
+                    localListVersion: chargerVersion
+                });
+            }
+            if (chargerVersion === listVersion) {
+                return res.json({ status: 'UpToDate', listVersion });
+            }
+
+            const changes = await db.getLocalListChanges(chargerVersion);
+            entries = [
+                ...changes.updated.map(localListEntry),
+                ...changes.removed.map(row => ({ idTag: row.id_tag }))
+            ];
+        }
+
+        const payload = ocpp.buildSendLocalList(connection.protocol, { version: listVersion, updateType, entries });
+        const { messageId, response } = await injectCall(cpId, 'SendLocalList', payload);
+        logger('INFO', 'Local list sent', { chargePointId: cpId, updateType, listVersion, entries: entries.length, messageId });
+
+        const frame = await response;
+        if (!frame) {
+            return res.status(504).json({ error: 'Charger did not respond', messageId });
+        }
+        if (frame[0] === 4) {
+            return res.status(502).json({ error: `Charger rejected SendLocalList: ${frame[2]}`, messageId, details: frame[3] });
+        }
+
+        const status = frame[2] && frame[2].status;
+        if (status === 'Accepted') {
+            await db.setChargerLocalListVersion(cpId, listVersion);
+        } else if (status === 'VersionMismatch') {
+            // Force a Full update next time
+            await db.setChargerLocalListVersion(cpId, null);
+        }
+
+        res.json({ status, updateType, listVersion, entries: entries.length, messageId });
+    } catch (err) {
+        logger('ERROR', 'Failed to send local list', { chargePointId: cpId, error: err.message });
         res.status(500).json({ error: err.message });
     }
 });
 
 // Get config
-app.get('/api/config', requireAuth, async (req, res) => {
+app.get('/api/config', requireAuth, requireAdmin, async (req, res) => {
     try {
         const config = await db.getAllConfig();
         res.json(config);
@@ -134,9 +709,21 @@ app.get('/api/config', requireAuth, async (req, res) => {
 });
 
 // Update config
-app.post('/api/config', requireAuth, async (req, res) => {
+app.post('/api/config', requireAuth, requireAdmin, async (req, res) => {
     try {
-        const { targetCsmsUrl, csmsForwardingEnabled, autoChargeEnabled, defaultIdTag } = req.body;
+        const {
+            targetCsmsUrl, csmsForwardingEnabled, autoChargeEnabled, defaultIdTag, validateTraffic, mirrorCsmsUrl,
+            chargerAuthRequired, chargerAllowListEnabled, csmsTlsInsecureHosts
+        } = req.body;
+
+        if (mirrorCsmsUrl && !mirrorCsmsUrl.startsWith('ws://') && !mirrorCsmsUrl.startsWith('wss://')) {
+            return res.status(400).json({ error: 'mirrorCsmsUrl must start with ws:// or wss://' });
+        }
+
+        if (csmsTlsInsecureHosts !== undefined && csmsTlsInsecureHosts !== null && (!Array.isArray(csmsTlsInsecureHosts) ||
+            csmsTlsInsecureHosts.some(host => typeof host !== 'string' || !host.trim() || host.includes(',') || host.includes('/')))) {
+            return res.status(400).json({ error: 'csmsTlsInsecureHosts must be an array of host names (host or host:port)' });
+        }
 
         if (targetCsmsUrl !== undefined) {
             await db.setConfigValue('targetCsmsUrl', targetCsmsUrl);
@@ -153,24 +740,357 @@ app.post('/api/config', requireAuth, async (req, res) => {
             AUTO_CHARGE_ENABLED = autoChargeEnabled;
         }
 
-        if (defaultIdTag !== undefined) {
-            await db.setConfigValue('defaultIdTag', defaultIdTag);
-            DEFAULT_ID_TAG = defaultIdTag;
+        if (defaultIdTag !== undefined) {
+            await db.setConfigValue('defaultIdTag', defaultIdTag);
+            DEFAULT_ID_TAG = defaultIdTag;
+        }
+
+        if (validateTraffic !== undefined) {
+            await db.setConfigValue('validateTraffic', validateTraffic.toString());
+            VALIDATE_TRAFFIC = validateTraffic;
+        }
+
+        if (mirrorCsmsUrl !== undefined) {
+            await db.setConfigValue('mirrorCsmsUrl', mirrorCsmsUrl || '');
+            MIRROR_CSMS_URL = mirrorCsmsUrl || '';
+        }
+
+        if (chargerAuthRequired !== undefined) {
+            await db.setConfigValue('chargerAuthRequired', chargerAuthRequired.toString());
+            CHARGER_AUTH_REQUIRED = chargerAuthRequired;
+        }
+
+        if (chargerAllowListEnabled !== undefined) {
+            await db.setConfigValue('chargerAllowListEnabled', chargerAllowListEnabled.toString());
+            CHARGER_ALLOW_LIST_ENABLED = chargerAllowListEnabled;
+        }
+
+        // Applies to the next connection attempt; established CSMS connections are kept
+        if (csmsTlsInsecureHosts !== undefined) {
+            CSMS_TLS_INSECURE_HOSTS = (csmsTlsInsecureHosts || []).map(host => host.trim());
+            await db.setConfigValue('csmsTlsInsecureHosts', CSMS_TLS_INSECURE_HOSTS.join(','));
+        }
+
+        logger('INFO', 'Config updated', {
+            targetCsmsUrl, csmsForwardingEnabled, autoChargeEnabled, defaultIdTag, validateTraffic, mirrorCsmsUrl,
+            chargerAuthRequired, chargerAllowListEnabled, csmsTlsInsecureHosts
+        });
+        if (csmsTlsInsecureHosts && csmsTlsInsecureHosts.length > 0) {
+            logger('WARNING', 'TLS certificate verification disabled for CSMS hosts', { hosts: CSMS_TLS_INSECURE_HOSTS });
+        }
+
+        // Connected chargers switch to the new CSMS settings without reconnecting
+        if (targetCsmsUrl !== undefined || csmsForwardingEnabled !== undefined || mirrorCsmsUrl !== undefined) {
+            applyCsmsConfigToChargers();
+        }
+        res.json({ success: true });
+    } catch (err) {
+        logger('ERROR', 'Failed to update config', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// CSMS routing - per-charger, group and pattern targets (the global targetCsmsUrl is the fallback)
+function csmsRouteResponse(row) {
+    return {
+        id: row.id,
+        matchType: row.match_type,
+        matchValue: row.match_value,
+        priority: row.priority,
+        targetUrl: row.target_url,
+        protocol: row.protocol,
+        username: row.username,
+        hasPassword: !!row.password, // Never returned
+        enabled: !!row.enabled,
+        description: row.description,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// Validate a CSMS route request body and convert it to column values. Returns { error } or { data }.
+// With `partial` (updates) only the fields present are validated and returned.
+function parseCsmsRouteBody(body, { partial = false } = {}) {
+    const { matchType, matchValue, priority, targetUrl, protocol, username, password, enabled, description } = body;
+    const data = {};
+
+    if (matchType !== undefined || !partial) {
+        if (!MATCH_TYPES.includes(matchType)) {
+            return { error: `matchType must be one of: ${MATCH_TYPES.join(', ')}` };
+        }
+        data.match_type = matchType;
+    }
+    if (matchValue !== undefined || !partial) {
+        if (!matchValue || typeof matchValue !== 'string') {
+            return { error: 'matchValue is required' };
+        }
+        data.match_value = matchValue;
+    }
+    if (targetUrl !== undefined || !partial) {
+        if (!targetUrl || (!targetUrl.startsWith('ws://') && !targetUrl.startsWith('wss://'))) {
+            return { error: 'targetUrl must start with ws:// or wss://' };
+        }
+        data.target_url = targetUrl;
+    }
+    if (priority !== undefined) {
+        if (!Number.isInteger(priority)) {
+            return { error: 'priority must be an integer' };
+        }
+        data.priority = priority;
+    }
+    if (protocol !== undefined) data.protocol = protocol || null;
+    if (username !== undefined) data.username = username || null;
+    if (password !== undefined) data.password = password || null;
+    if (enabled !== undefined) data.enabled = !!enabled;
+    if (description !== undefined) data.description = description || null;
+
+    return { data };
+}
+
+app.get('/api/csms-routes', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const routes = await db.getCsmsRoutes();
+        res.json(routes.map(csmsRouteResponse));
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch CSMS routes', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.post('/api/csms-routes', requireAuth, requireAdmin, async (req, res) => {
+    const { error, data } = parseCsmsRouteBody(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const id = await db.addCsmsRoute(data);
+        logger('INFO', 'CSMS route added', { id, matchType: data.match_type, matchValue: data.match_value, targetUrl: data.target_url });
+        applyCsmsConfigToChargers();
+        res.status(201).json(csmsRouteResponse(await db.getCsmsRoute(id)));
+    } catch (err) {
+        logger('ERROR', 'Failed to add CSMS route', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.put('/api/csms-routes/:id', requireAuth, requireAdmin, async (req, res) => {
+    const id = parseInt(req.params.id);
+    const { error, data } = parseCsmsRouteBody(req.body, { partial: true });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const updated = await db.updateCsmsRoute(id, data);
+        if (!updated) {
+            return res.status(404).json({ error: 'CSMS route not found' });
+        }
+        logger('INFO', 'CSMS route updated', { id });
+        applyCsmsConfigToChargers();
+        res.json(csmsRouteResponse(await db.getCsmsRoute(id)));
+    } catch (err) {
+        logger('ERROR', 'Failed to update CSMS route', { id, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/csms-routes/:id', requireAuth, requireAdmin, async (req, res) => {
+    const id = parseInt(req.params.id);
+    try {
+        const deleted = await db.deleteCsmsRoute(id);
+        if (!deleted) {
+            return res.status(404).json({ error: 'CSMS route not found' });
+        }
+        logger('INFO', 'CSMS route deleted', { id });
+        applyCsmsConfigToChargers();
+        res.json({ success: true });
+    } catch (err) {
+        logger('ERROR', 'Failed to delete CSMS route', { id, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Show which CSMS a charger connects to
+app.get('/api/chargers/:cpId/csms-route', requireAuth, requireChargerAccess, async (req, res) => {
+    try {
+        const route = await csmsRouter.resolve(req.params.cpId);
+        res.json({
+            url: route.url,
+            routeId: route.routeId,
+            protocol: route.protocol,
+            hasCredentials: !!route.authorization
+        });
+    } catch (err) {
+        logger('ERROR', 'Failed to resolve CSMS route', { chargePointId: req.params.cpId, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Assign a charger to a group for GROUP routes
+app.put('/api/chargers/:cpId/csms-group', requireAuth, requireAdmin, async (req, res) => {
+    const { cpId } = req.params;
+    const { group } = req.body;
+
+    if (group !== null && group !== undefined && typeof group !== 'string') {
+        return res.status(400).json({ error: 'group must be a string or null' });
+    }
+
+    try {
+        const updated = await db.setChargerCsmsGroup(cpId, group || null);
+        if (!updated) {
+            return res.status(404).json({ error: 'Charger not found' });
+        }
+        logger('INFO', 'Charger CSMS group updated', { chargePointId: cpId, group: group || null });
+        applyCsmsConfigToChargers([cpId]);
+        res.json({ success: true });
+    } catch (err) {
+        logger('ERROR', 'Failed to update charger CSMS group', { chargePointId: cpId, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Mirror CSMS settings of a charger, with the mirror it resolves to and whether it is connected
+app.get('/api/chargers/:cpId/mirror', requireAuth, requireChargerAccess, async (req, res) => {
+    const { cpId } = req.params;
+    try {
+        const charger = await db.getCharger(cpId);
+        if (!charger) {
+            return res.status(404).json({ error: 'Charger not found' });
+        }
+
+        const mirror = await csmsRouter.resolveMirror(cpId);
+        const connection = clients.get(cpId);
+        res.json({
+            enabled: charger.mirror_enabled === null || charger.mirror_enabled === undefined ? null : !!charger.mirror_enabled,
+            url: charger.mirror_url || null,
+            effectiveUrl: mirror ? mirror.url : null,
+            connected: !!(connection && connection.mirrorSocket && connection.mirrorSocket.readyState === WebSocket.OPEN)
+        });
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch charger mirror settings', { chargePointId: cpId, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Override mirroring for a charger: `url` replaces the global mirror URL, `enabled: false` opts the
+// charger out and `enabled: null` follows the global setting. Applied to a connected charger immediately.
+app.put('/api/chargers/:cpId/mirror', requireAuth, requireAdmin, async (req, res) => {
+    const { cpId } = req.params;
+    const { enabled, url } = req.body;
+    const settings = {};
+
+    if (enabled !== undefined) {
+        if (enabled !== null && typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be true, false or null' });
+        }
+        settings.mirror_enabled = enabled;
+    }
+    if (url !== undefined) {
+        if (url && (typeof url !== 'string' || (!url.startsWith('ws://') && !url.startsWith('wss://')))) {
+            return res.status(400).json({ error: 'url must start with ws:// or wss://' });
+        }
+        settings.mirror_url = url || null;
+    }
+    if (Object.keys(settings).length === 0) {
+        return res.status(400).json({ error: 'enabled or url is required' });
+    }
+
+    try {
+        const updated = await db.setChargerMirror(cpId, settings);
+        if (!updated) {
+            return res.status(404).json({ error: 'Charger not found' });
+        }
+        logger('INFO', 'Charger mirror settings updated', { chargePointId: cpId, ...settings });
+        applyCsmsConfigToChargers([cpId]);
+        res.json({ success: true });
+    } catch (err) {
+        logger('ERROR', 'Failed to update charger mirror settings', { chargePointId: cpId, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Charger authentication - per-charger Basic auth passwords and allow/deny lists (applies to new connections)
+const CHARGER_ACCESS_LISTS = ['ALLOW', 'DENY'];
+
+function chargerAccessResponse(row) {
+    return {
+        chargePointId: row.charge_point_id,
+        hasPassword: !!row.password_hash, // Never returned
+        list: row.list,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+app.get('/api/charger-access', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const entries = await db.getChargerAccessList();
+        res.json(entries.map(chargerAccessResponse));
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch charger access list', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Set a charger's Basic auth password and/or list membership. `password: null` removes the
+// password, `list: null` removes the charger from the allow/deny list.
+app.put('/api/charger-access/:cpId', requireAuth, requireAdmin, async (req, res) => {
+    const { cpId } = req.params;
+    const { password, list } = req.body;
+    const data = {};
+
+    if (password !== undefined) {
+        // OCPP basic auth passwords are 16 to 40 characters
+        if (password !== null && (typeof password !== 'string' || password.length < 16 || password.length > 40)) {
+            return res.status(400).json({ error: 'password must be 16 to 40 characters, or null' });
+        }
+        data.password_hash = password === null ? null : await hashPassword(password);
+    }
+    if (list !== undefined) {
+        if (list !== null && !CHARGER_ACCESS_LISTS.includes(list)) {
+            return res.status(400).json({ error: `list must be one of: ${CHARGER_ACCESS_LISTS.join(', ')}, or null` });
+        }
+        data.list = list;
+    }
+    if (Object.keys(data).length === 0) {
+        return res.status(400).json({ error: 'password or list is required' });
+    }
+
+    try {
+        await db.setChargerAccess(cpId, data);
+        logger('INFO', 'Charger access updated', {
+            chargePointId: cpId,
+            passwordChanged: password !== undefined,
+            list: data.list
+        });
+        res.json(chargerAccessResponse(await db.getChargerAccess(cpId)));
+    } catch (err) {
+        logger('ERROR', 'Failed to update charger access', { chargePointId: cpId, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/charger-access/:cpId', requireAuth, requireAdmin, async (req, res) => {
+    const { cpId } = req.params;
+    try {
+        const deleted = await db.deleteChargerAccess(cpId);
+        if (!deleted) {
+            return res.status(404).json({ error: 'Charger access entry not found' });
         }
-
-        logger('INFO', 'Config updated', { targetCsmsUrl, csmsForwardingEnabled, autoChargeEnabled, defaultIdTag });
+        logger('INFO', 'Charger access removed', { chargePointId: cpId });
         res.json({ success: true });
     } catch (err) {
-        logger('ERROR', 'Failed to update config', { error: err.message });
+        logger('ERROR', 'Failed to remove charger access', { chargePointId: cpId, error: err.message });
         res.status(500).json({ error: err.message });
     }
 });
 
 // Smart Charging Endpoint
-app.post('/api/chargers/:cpId/smart-charging', requireAuth, async (req, res) => {
+app.post('/api/chargers/:cpId/smart-charging', requireAuth, requireOperator, requireChargerAccess, async (req, res) => {
     if (DEBUG) { logger('DEBUG', 'POST /smart-charging', { url: req.url, body: req.body }) };
     const { cpId } = req.params;
-    const { maxPower, sessionLimit, action, transactionId } = req.body; // action can be 'clear'
+    const { maxPower, sessionLimit, action } = req.body; // action can be 'clear'
 
     const connection = clients.get(cpId);
     if (!connection || !connection.chargerSocket || connection.chargerSocket.readyState !== WebSocket.OPEN) {
@@ -195,28 +1115,20 @@ app.post('/api/chargers/:cpId/smart-charging', requireAuth, async (req, res) =>
             const limit = parseFloat(maxPower);
             await db.updateChargerLimit(cpId, limit);
 
-            // Inject SetChargingProfile (ChargePointMaxProfile)
+            // Inject SetChargingProfile (ChargePointMaxProfile / ChargingStationMaxProfile)
             messageId = crypto.randomUUID().substring(0, 36);
-            const profile = {
-                connectorId: 0,
-                csChargingProfiles: {
-                    chargingProfileId: 1,
-                    stackLevel: 1,
-                    chargingProfilePurpose: 'ChargePointMaxProfile',
-                    chargingProfileKind: 'Absolute',
-                    chargingSchedule: {
-                        chargingRateUnit: 'A',
-                        chargingSchedulePeriod: [{ startPeriod: 0, limit: limit }]
-                    }
-                }
-            };
+            const profile = ocpp.buildSetChargingProfile(connection.protocol, {
+                profileId: 1,
+                purpose: 'ChargePointMaxProfile',
+                limit
+            });
             ocppMessage = [2, messageId, 'SetChargingProfile', profile];
             logger('INFO', 'Setting permanent power limit', { chargePointId: cpId, limit });
 
         } else if (sessionLimit !== undefined) {
             // Do NOT update DB (session only)
             const limit = parseFloat(sessionLimit);
-            const { transactionId } = req.body; // Optional transactionId
+            const { transactionId, evseId } = req.body; // Optional transactionId (and evseId for OCPP 2.0.1)
 
             messageId = crypto.randomUUID().substring(0, 36);
 
@@ -224,36 +1136,21 @@ app.post('/api/chargers/:cpId/smart-charging', requireAuth, async (req, res) =>
 
             if (transactionId) {
                 // TxProfile for a specific transaction
-                profile = {
-                    connectorId: 0,
-                    csChargingProfiles: {
-                        chargingProfileId: 2,
-                        stackLevel: 1,
-                        chargingProfilePurpose: 'TxProfile',
-                        chargingProfileKind: 'Absolute',
-                        transactionId: transactionId,
-                        chargingSchedule: {
-                            chargingRateUnit: 'A',
-                            chargingSchedulePeriod: [{ startPeriod: 0, limit: limit }]
-                        }
-                    }
-                };
+                profile = ocpp.buildSetChargingProfile(connection.protocol, {
+                    profileId: 2,
+                    purpose: 'TxProfile',
+                    limit,
+                    transactionId,
+                    evseId
+                });
                 logger('INFO', 'Setting session limit for transaction', { chargePointId: cpId, limit, transactionId });
             } else {
                 // TxDefaultProfile for future transactions
-                profile = {
-                    connectorId: 0,
-                    csChargingProfiles: {
-                        chargingProfileId: 2,
-                        stackLevel: 1,
-                        chargingProfilePurpose: 'TxDefaultProfile',
-                        chargingProfileKind: 'Absolute',
-                        chargingSchedule: {
-                            chargingRateUnit: 'A',
-                            chargingSchedulePeriod: [{ startPeriod: 0, limit: limit }]
-                        }
-                    }
-                };
+                profile = ocpp.buildSetChargingProfile(connection.protocol, {
+                    profileId: 2,
+                    purpose: 'TxDefaultProfile',
+                    limit
+                });
                 logger('INFO', 'Setting default Tx limit', { chargePointId: cpId, limit });
             }
 
@@ -283,11 +1180,31 @@ app.post('/api/chargers/:cpId/smart-charging', requireAuth, async (req, res) =>
     }
 });
 
-// Command injection
-app.post('/api/inject/:cpId', requireAuth, async (req, res) => {
+// Upper bound for ?timeout= on awaited injections (ms)
+const MAX_INJECTION_WAIT = 300000;
+
+// Command injection. Payloads are validated against the OCPP JSON schemas of the charger's
+// protocol unless ?validate=false is given (for deliberately malformed test messages).
+// With ?wait=true the request is held until the charger answers (optionally ?timeout=<ms>)
+// and the CallResult/CallError is returned, or 504 on timeout.
+app.post('/api/inject/:cpId', requireAuth, requireOperator, requireChargerAccess, async (req, res) => {
     if (DEBUG) { logger('DEBUG', 'POST request', { url: req.url }) };
     const { cpId } = req.params;
     const { action, payload } = req.body;
+    const wait = req.query.wait === 'true';
+    const validate = req.query.validate !== 'false';
+
+    if (!action || typeof action !== 'string') {
+        return res.status(400).json({ error: 'action is required' });
+    }
+
+    let timeout = CHARGER_RESPONSE_TIMEOUT;
+    if (req.query.timeout !== undefined) {
+        timeout = parseInt(req.query.timeout);
+        if (isNaN(timeout) || timeout <= 0 || timeout > MAX_INJECTION_WAIT) {
+            return res.status(400).json({ error: `timeout must be between 1 and ${MAX_INJECTION_WAIT} ms` });
+        }
+    }
 
     const connection = clients.get(cpId);
 
@@ -296,51 +1213,140 @@ app.post('/api/inject/:cpId', requireAuth, async (req, res) => {
     }
 
     try {
-        const messageId = crypto.randomUUID().substring(0, 36);
-        const ocppMessage = [2, messageId, action, payload];
-        const payloadStr = JSON.stringify(ocppMessage);
-
-        connection.pendingIds.add(messageId);
+        // OCPP 2.0.1 chargers get the 2.0.1 equivalent of 1.6 remote start/stop commands
+        const call = ocpp.translateCall(connection.protocol, action, payload);
+
+        if (validate && schemas.canValidate(connection.protocol)) {
+            const violations = schemas.validateCall(connection.protocol, call.action, call.payload);
+            if (violations.length > 0) {
+                logger('WARNING', 'Rejected injected command failing schema validation', { chargePointId: cpId, action: call.action, violations });
+                return res.status(400).json({
+                    error: `Invalid ${call.action} payload for ${connection.protocol}`,
+                    violations
+                });
+            }
+        }
 
-        // Track idTag for RemoteStartTransaction to auto-approve subsequent Authorize
-        if (action === 'RemoteStartTransaction' && payload.idTag) {
-            connection.pendingIdTags.add(payload.idTag);
-            logger('INFO', 'Tracking idTag for auto-authorization', { chargePointId: cpId, idTag: payload.idTag });
+        // Track idTag for remote starts to auto-approve subsequent Authorize
+        const remoteIdTag = (call.action === 'RemoteStartTransaction' || call.action === 'RequestStartTransaction')
+            ? ocpp.getIdTag(call.payload)
+            : undefined;
+        if (remoteIdTag) {
+            connection.pendingIdTags.add(remoteIdTag);
+            logger('INFO', 'Tracking idTag for auto-authorization', { chargePointId: cpId, idTag: remoteIdTag });
 
             // Clean up pending idTag after 60 seconds
             setTimeout(() => {
-                if (connection.pendingIdTags.has(payload.idTag)) {
-                    connection.pendingIdTags.delete(payload.idTag);
-                    if (DEBUG) logger('DEBUG', `Cleaned up stale pending idTag`, { chargePointId: cpId, idTag: payload.idTag });
+                if (connection.pendingIdTags.has(remoteIdTag)) {
+                    connection.pendingIdTags.delete(remoteIdTag);
+                    if (DEBUG) logger('DEBUG', `Cleaned up stale pending idTag`, { chargePointId: cpId, idTag: remoteIdTag });
                 }
             }, 60000);
         }
 
-        setTimeout(() => {
-            if (connection.pendingIds.has(messageId)) {
-                connection.pendingIds.delete(messageId);
-                if (DEBUG) logger('DEBUG', `Cleaned up stale injection ID`, { chargePointId: cpId, messageId });
-            }
-        }, 60000);
+        const { messageId, response } = await injectCall(cpId, call.action, call.payload, { timeout });
+        logger('INFO', 'Command injected', { chargePointId: cpId, action: call.action, messageId });
 
-        connection.chargerSocket.send(payloadStr);
+        if (!wait) {
+            return res.json({ status: 'sent', messageId: messageId });
+        }
 
-        await logMessage(cpId, 'INJECTION_REQUEST', ocppMessage);
-        logger('INFO', 'Command injected', { chargePointId: cpId, action, messageId });
+        const frame = await response;
+        if (!frame && connection.chargerSocket.readyState !== WebSocket.OPEN) {
+            return res.status(503).json({ error: 'Charger disconnected before responding', messageId });
+        }
+        if (!frame) {
+            logger('WARNING', 'Injected command timed out', { chargePointId: cpId, action: call.action, messageId, timeout });
+            return res.status(504).json({ error: `Charger did not respond within ${timeout} ms`, messageId });
+        }
 
-        return res.json({ status: 'sent', messageId: messageId });
+        if (frame[0] === 4) {
+            return res.json({
+                status: 'error',
+                messageId,
+                errorCode: frame[2],
+                errorDescription: frame[3],
+                errorDetails: frame[4] || {}
+            });
+        }
+
+        return res.json({ status: 'completed', messageId, result: frame[2] });
     } catch (e) {
         logger('ERROR', 'Injection failed', { chargePointId: cpId, error: e.message });
         return res.status(500).json({ error: e.message });
     }
 });
 
+// Sign in: exchange username and password for a session token (sent as `Authorization: Bearer <token>`)
+app.post('/api/login', async (req, res) => {
+    const { username, password } = req.body || {};
+
+    if (typeof username !== 'string' || typeof password !== 'string' || !username || !password) {
+        return res.status(400).json({ error: 'username and password are required' });
+    }
+
+    const retryAfter = loginThrottle.begin(username, req.ip);
+    if (retryAfter > 0) {
+        logger('WARNING', 'Login rejected, too many failed attempts', { username, remoteAddress: req.ip, retryAfter });
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: `Too many failed sign-in attempts, retry in ${retryAfter}s`, retryAfter });
+    }
+
+    try {
+        let user;
+        try {
+            user = await authenticateUser(db, username, password);
+        } catch (err) {
+            loginThrottle.release(username, req.ip);
+            throw err;
+        }
+        if (!user) {
+            loginThrottle.recordFailure(username, req.ip);
+            logger('WARNING', 'Failed login', { username, remoteAddress: req.ip });
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        loginThrottle.recordSuccess(username, req.ip);
+
+        const { token, expiresAt } = await sessions.create(username, req.ip);
+        logger('INFO', 'User logged in', { username, remoteAddress: req.ip });
+        res.json({ token, username, role: user.role, expiresAt, idleTimeout: SESSION_IDLE_TIMEOUT_MINUTES * 60 });
+    } catch (err) {
+        logger('ERROR', 'Login failed', { username, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// The signed-in user's role and charger scope (null = all chargers)
+app.get('/api/me', requireAuth, (req, res) => {
+    const { username, role, chargerScope } = req.user;
+    res.json({ username, role, chargerScope });
+});
+
+// Sign out: revoke the session token used for this request
+app.post('/api/logout', requireAuth, async (req, res) => {
+    try {
+        if (req.user.sessionToken) {
+            await sessions.revoke(req.user.sessionToken);
+            eventStream.revalidateAll();
+        }
+        logger('INFO', 'User logged out', { username: req.user.username });
+        res.json({ success: true });
+    } catch (err) {
+        logger('ERROR', 'Logout failed', { username: req.user.username, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Change password endpoint
 app.post('/api/change-password', requireAuth, async (req, res) => {
     if (DEBUG) { logger('DEBUG', 'POST request', { url: req.url }) };
     const { currentPassword, newPassword } = req.body;
     const username = req.user.username;
 
+    if (req.user.apiKeyId) {
+        return res.status(403).json({ error: 'API keys have no password' });
+    }
+
     if (!currentPassword || !newPassword) {
         return res.status(400).json({ error: 'Current password and new password are required' });
     }
@@ -352,15 +1358,18 @@ app.post('/api/change-password', requireAuth, async (req, res) => {
     try {
         // Verify current password
         const user = await db.getUser(username);
-        if (!user || user.password_hash !== hashPassword(currentPassword)) {
+        if (!user || !(await verifyPassword(currentPassword, user.password_hash))) {
             return res.status(400).json({ error: 'Current password is incorrect' });
         }
 
         // Update password
-        const newPasswordHash = hashPassword(newPassword);
+        const newPasswordHash = await hashPassword(newPassword);
         const success = await db.updatePassword(username, newPasswordHash);
 
         if (success) {
+            // Sign out the user's other sessions; the one changing the password stays valid
+            await sessions.revokeUser(username, req.user.sessionToken);
+            eventStream.revalidateAll();
             logger('INFO', 'Password changed successfully', { username });
             return res.json({ status: 'success', message: 'Password changed successfully' });
         } else {
@@ -372,14 +1381,324 @@ app.post('/api/change-password', requireAuth, async (req, res) => {
     }
 });
 
+// User management (admin only). Password hashes are never returned.
+function userResponse(row) {
+    return {
+        username: row.username,
+        role: row.role,
+        chargerScope: parseChargerScope(row.charger_scope),
+        disabled: !!row.disabled,
+        createdAt: row.created_at
+    };
+}
+
+// Validate a user create/update body into auth_users columns. Returns { data } or { error }.
+async function parseUserBody(body, { creating }) {
+    const { password, role, chargerScope, disabled } = body;
+    const data = {};
+
+    if (creating || password !== undefined) {
+        if (typeof password !== 'string' || password.length < 8) {
+            return { error: 'password must be at least 8 characters long' };
+        }
+        data.password_hash = await hashPassword(password);
+    }
+    if (role !== undefined) {
+        if (!ROLES.includes(role)) {
+            return { error: `role must be one of: ${ROLES.join(', ')}` };
+        }
+        data.role = role;
+    }
+    if (chargerScope !== undefined) {
+        if (chargerScope !== null && (!Array.isArray(chargerScope) ||
+            chargerScope.some(id => typeof id !== 'string' || !id.trim() || id.includes(',')))) {
+            return { error: 'chargerScope must be an array of charge point IDs, or null for all chargers' };
+        }
+        data.charger_scope = chargerScope && chargerScope.length > 0 ? chargerScope.map(id => id.trim()).join(',') : null;
+    }
+    if (disabled !== undefined) {
+        if (typeof disabled !== 'boolean') {
+            return { error: 'disabled must be a boolean' };
+        }
+        data.disabled = disabled;
+    }
+    return { data };
+}
+
+// True if removing, demoting or disabling `user` would leave no enabled admin to manage the proxy
+async function isLastAdmin(user) {
+    return user.role === 'admin' && !user.disabled && (await db.countActiveAdmins()) <= 1;
+}
+
+app.get('/api/users', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const users = await db.getUsers();
+        res.json(users.map(userResponse));
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch users', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Create a user. `role` defaults to viewer.
+app.post('/api/users', requireAuth, requireAdmin, async (req, res) => {
+    const { username } = req.body;
+
+    if (typeof username !== 'string' || !username.trim() || username.includes(':')) {
+        return res.status(400).json({ error: 'username is required and may not contain ":"' });
+    }
+
+    try {
+        const { data, error } = await parseUserBody({ role: 'viewer', ...req.body }, { creating: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (await db.getUser(username)) {
+            return res.status(409).json({ error: `User ${username} already exists` });
+        }
+
+        const { password_hash, role, ...settings } = data;
+        await db.addUser(username, password_hash, role);
+        if (Object.keys(settings).length > 0) {
+            await db.updateUser(username, settings);
+        }
+
+        logger('INFO', 'User created', { username, role, by: req.user.username });
+        res.status(201).json(userResponse(await db.getUser(username)));
+    } catch (err) {
+        logger('ERROR', 'Failed to create user', { username, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Update a user: change role or charger scope, disable/enable, or reset the password.
+// Disabling the user or resetting the password signs out their sessions.
+app.put('/api/users/:username', requireAuth, requireAdmin, async (req, res) => {
+    const { username } = req.params;
+
+    try {
+        const { data, error } = await parseUserBody(req.body, { creating: false });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (Object.keys(data).length === 0) {
+            return res.status(400).json({ error: 'password, role, chargerScope or disabled is required' });
+        }
+
+        const user = await db.getUser(username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if ((data.disabled || (data.role && data.role !== 'admin')) && await isLastAdmin(user)) {
+            return res.status(409).json({ error: 'Cannot disable or demote the last enabled admin' });
+        }
+
+        await db.updateUser(username, data);
+        if (data.disabled || data.password_hash) {
+            await sessions.revokeUser(username);
+        }
+        // Open dashboard streams pick up the new role and scope, or close
+        eventStream.revalidateAll();
+
+        const { password_hash, ...changes } = data;
+        logger('INFO', 'User updated', { username, ...changes, passwordReset: !!password_hash, by: req.user.username });
+        res.json(userResponse(await db.getUser(username)));
+    } catch (err) {
+        logger('ERROR', 'Failed to update user', { username, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+app.delete('/api/users/:username', requireAuth, requireAdmin, async (req, res) => {
+    const { username } = req.params;
+
+    try {
+        const user = await db.getUser(username);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (await isLastAdmin(user)) {
+            return res.status(409).json({ error: 'Cannot delete the last enabled admin' });
+        }
+
+        await sessions.revokeUser(username);
+        await db.deleteUser(username);
+        eventStream.revalidateAll();
+        logger('INFO', 'User deleted', { username, by: req.user.username });
+        res.json({ success: true });
+    } catch (err) {
+        logger('ERROR', 'Failed to delete user', { username, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API keys (admin only). The key itself is only returned when it is created.
+function apiKeyResponse(row) {
+    const now = Math.floor(Date.now() / 1000);
+    return {
+        id: row.id,
+        name: row.name,
+        prefix: row.key_prefix,
+        role: row.role,
+        chargerScope: parseChargerScope(row.charger_scope),
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        lastUsedAt: row.last_used_at,
+        revokedAt: row.revoked_at,
+        active: !row.revoked_at && (!row.expires_at || row.expires_at > now)
+    };
+}
+
+app.get('/api/api-keys', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const keys = await db.getApiKeys();
+        res.json(keys.map(apiKeyResponse));
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch API keys', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Create an API key. `role` defaults to operator; `expiresInDays` omitted = no expiry.
+app.post('/api/api-keys', requireAuth, requireAdmin, async (req, res) => {
+    const { name, role = 'operator', chargerScope = null, expiresInDays } = req.body;
+
+    if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'name is required' });
+    }
+    if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (chargerScope !== null && (!Array.isArray(chargerScope) ||
+        chargerScope.some(id => typeof id !== 'string' || !id.trim() || id.includes(',')))) {
+        return res.status(400).json({ error: 'chargerScope must be an array of charge point IDs, or null for all chargers' });
+    }
+    if (expiresInDays !== undefined && expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1)) {
+        return res.status(400).json({ error: 'expiresInDays must be a positive integer' });
+    }
+
+    try {
+        const { id, key } = await apiKeys.create({
+            name: name.trim(),
+            role,
+            chargerScope: chargerScope && chargerScope.map(cpId => cpId.trim()),
+            expiresAt: expiresInDays ? Math.floor(Date.now() / 1000) + expiresInDays * 86400 : null,
+            createdBy: req.user.username
+        });
+        logger('INFO', 'API key created', { id, name, role, chargerScope, expiresInDays, by: req.user.username });
+        res.status(201).json({ ...apiKeyResponse(await db.getApiKey(id)), key });
+    } catch (err) {
+        logger('ERROR', 'Failed to create API key', { name, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Revoke an API key. It stays listed with its revocation time.
+app.delete('/api/api-keys/:id', requireAuth, requireAdmin, async (req, res) => {
+    const id = parseInt(req.params.id);
+
+    try {
+        if (!(await apiKeys.revoke(id))) {
+            return res.status(404).json({ error: 'API key not found or already revoked' });
+        }
+        eventStream.revalidateAll();
+        logger('INFO', 'API key revoked', { id, by: req.user.username });
+        res.json({ success: true });
+    } catch (err) {
+        logger('ERROR', 'Failed to revoke API key', { id, error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Audit trail of mutating API requests (admin only)
+function auditEntryResponse(row) {
+    let requestBody = row.request_body;
+    try {
+        requestBody = requestBody ? JSON.parse(requestBody) : null;
+    } catch (err) {
+        // Truncated bodies are returned as text
+    }
+
+    return {
+        id: row.id,
+        timestamp: row.timestamp,
+        username: row.username,
+        remoteAddress: row.remote_address,
+        method: row.method,
+        path: row.path,
+        route: row.route,
+        chargePointId: row.charge_point_id,
+        requestBody,
+        statusCode: row.status_code,
+        error: row.error
+    };
+}
+
+app.get('/api/audit', requireAuth, requireAdmin, async (req, res) => {
+    try {
+        const { username, chargePointId, method, path: pathPrefix, from, to, limit } = req.query;
+        const entries = await db.getAuditEntries({
+            username,
+            chargePointId,
+            method: method ? method.toUpperCase() : undefined,
+            path: pathPrefix,
+            from: parseInt(from),
+            to: parseInt(to),
+            limit: parseInt(limit) || 100
+        });
+        res.json(entries.map(auditEntryResponse));
+    } catch (err) {
+        logger('ERROR', 'Failed to fetch audit log', { error: err.message });
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Usernames and client IPs with recent failed sign-ins, including active lockouts (admins only)
+app.get('/api/lockouts', requireAuth, requireAdmin, (req, res) => {
+    res.json(loginThrottle.list());
+});
+
+// Lift a lockout early, e.g. DELETE /api/lockouts/username/alice or /api/lockouts/ip/::ffff:10.0.0.5
+app.delete('/api/lockouts/:type/:value', requireAuth, requireAdmin, (req, res) => {
+    const { type, value } = req.params;
+    if (type !== 'username' && type !== 'ip') {
+        return res.status(400).json({ error: "type must be 'username' or 'ip'" });
+    }
+    if (!loginThrottle.clear(type, value)) {
+        return res.status(404).json({ error: 'No failed attempts recorded' });
+    }
+    logger('INFO', 'Sign-in lockout cleared', { type, value, by: req.user.username });
+    res.json({ success: true });
+});
+
 // -----------------------------------------------------------------------------
 // WebSocket Handling
 // -----------------------------------------------------------------------------
 
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ noServer: true });
+const tlsServer = tlsOptions ? https.createServer(tlsOptions, app) : null;
+const wss = new WebSocket.Server({
+    noServer: true,
+    // Negotiate a supported OCPP version (1.6J or 2.0.1) from the charger's offered subprotocols
+    handleProtocols: (protocols) => ocpp.selectProtocol(protocols)
+});
 
-server.on('upgrade', (request, socket, head) => {
+// Refuse a charger's WebSocket upgrade with an HTTP error status
+function rejectUpgrade(socket, chargePointId, status, reason) {
+    logger('WARNING', 'Rejected charger connection', {
+        chargePointId,
+        remoteAddress: socket.remoteAddress,
+        status,
+        reason
+    });
+    const statusText = { 401: 'Unauthorized', 403: 'Forbidden', 503: 'Service Unavailable' }[status];
+    const extraHeaders = status === 401 ? 'WWW-Authenticate: Basic realm="OCPP"\r\n' : '';
+    socket.write(`HTTP/1.1 ${status} ${statusText}\r\n${extraHeaders}\r\n`);
+    socket.destroy();
+}
+
+const handleUpgrade = async (request, socket, head) => {
     if (DEBUG) { logger('DEBUG', 'Upgrade request', { url: request.url }) };
     const urlParts = request.url.split('/');
     if (urlParts.length < 3 || urlParts[1] !== 'ocpp') {
@@ -388,14 +1707,54 @@ server.on('upgrade', (request, socket, head) => {
         return;
     }
     const chargePointId = urlParts[2];
+
+    // Security Profile 3: the client certificate must be trusted and issued to this charge point ID
+    let clientCertificate = null;
+    if (socket.encrypted && tlsOptions.ca) {
+        const result = checkClientCertificate(socket, chargePointId, { required: TLS_CLIENT_CERT_REQUIRED });
+        if (result.error) {
+            rejectUpgrade(socket, chargePointId, 401, result.error);
+            return;
+        }
+        clientCertificate = result.certificate;
+    }
+
+    // Security Profiles 1/2: allow/deny lists and per-charger Basic credentials
+    try {
+        const rejection = await chargerAuthenticator.authenticate({
+            chargePointId,
+            authorization: request.headers['authorization'],
+            clientCertificate
+        });
+        if (rejection) {
+            rejectUpgrade(socket, chargePointId, rejection.status, rejection.reason);
+            return;
+        }
+    } catch (err) {
+        logger('ERROR', 'Failed to authenticate charger', { chargePointId, error: err.message });
+        rejectUpgrade(socket, chargePointId, 503, 'authentication check failed');
+        return;
+    }
+    if (socket.destroyed) return;
+
     wss.handleUpgrade(request, socket, head, (ws) => {
-        wss.emit('connection', ws, request, chargePointId);
+        wss.emit('connection', ws, request, chargePointId, clientCertificate);
     });
-});
+};
 
+server.on('upgrade', handleUpgrade);
+if (tlsServer) tlsServer.on('upgrade', handleUpgrade);
 
-wss.on('connection', async (chargerSocket, req, chargePointId) => {
-    logger('INFO', 'Charger connected', { chargePointId });
+
+wss.on('connection', async (chargerSocket, req, chargePointId, clientCertificate) => {
+    // Negotiated subprotocol, e.g. 'ocpp1.6' or 'ocpp2.0.1' (empty if none was offered)
+    const protocol = chargerSocket.protocol;
+    logger('INFO', 'Charger connected', {
+        chargePointId,
+        protocol: protocol || 'none',
+        tls: !!req.socket.encrypted,
+        clientCertificate: clientCertificate ? clientCertificate.fingerprint256 : undefined
+    });
 
     // Register charger in database with connection metadata
     try {
@@ -413,14 +1772,32 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
 
     clients.set(chargePointId, {
         chargerSocket,
+        protocol,
         csmsSocket: null,
+        clientCertificate: clientCertificate || null, // Verified client certificate (Security Profile 3)
         pendingIds: new Set(),
         pendingIdTags: new Set(), // Track idTags from injected RemoteStartTransaction
         messageBuffer: [], // Buffer messages while CSMS is connecting
+        replaying: false, // True while queued transaction messages are replayed to the CSMS
+        replayWaiters: new Map(), // Replayed message ID -> callback for the CSMS response
+        injectionWaiters: new Map(), // Injected message ID -> callback for the charger response
+        localListQueries: new Set(), // GetLocalListVersion message IDs whose response updates the stored list version
         reconnectAttempt: 0,
         reconnecting: false,
-        reconnectTimer: null
+        reconnectTimer: null,
+        nextReconnectAt: null, // ms timestamp of the scheduled reconnection attempt
+        csmsConnectedAt: null, // Unix timestamp the current CSMS connection opened
+        lastCsmsError: null,
+        csmsTarget: null, // { url, protocol, authorization } the CSMS connection uses (kept while reconnecting)
+        csmsGeneration: 0, // Incremented when the CSMS connection is dropped, to abandon connection attempts in progress
+        applyCsmsConfig: null, // Re-applies CSMS/mirror configuration to the live connection (set below)
+        mirrorSocket: null, // Read-only connection to the mirror CSMS, if configured
+        mirrorUrl: null,
+        mirrorGeneration: 0,
+        mirrorReconnectAttempt: 0,
+        mirrorReconnectTimer: null
     });
+    publishChargerState(chargePointId);
 
     // --- Smart Charging Persistent Logic ---
     // Enforce max_power limit if set in DB.
@@ -433,19 +1810,11 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
                 if (!isNaN(limit)) {
                     logger('INFO', `Enforcing persistent power limit`, { chargePointId, limit });
                     const messageId = crypto.randomUUID().substring(0, 36);
-                    const profile = {
-                        connectorId: 0,
-                        csChargingProfiles: {
-                            chargingProfileId: 1,
-                            stackLevel: 1,
-                            chargingProfilePurpose: 'ChargePointMaxProfile',
-                            chargingProfileKind: 'Absolute',
-                            chargingSchedule: {
-                                chargingRateUnit: 'A',
-                                chargingSchedulePeriod: [{ startPeriod: 0, limit: limit }]
-                            }
-                        }
-                    };
+                    const profile = ocpp.buildSetChargingProfile(protocol, {
+                        profileId: 1,
+                        purpose: 'ChargePointMaxProfile',
+                        limit
+                    });
                     const payload = [2, messageId, 'SetChargingProfile', profile];
 
                     // Small delay to ensure connection is fully ready and to separate from potential BootNotification response
@@ -464,65 +1833,129 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
 
     let csmsSocket = null;
 
+    // Tail of the CSMS -> charger chain. CSMS frames are handled one at a time so that one waiting
+    // for its log entry or a transaction ID lookup is not overtaken by a later one.
+    let chargerForwarding = Promise.resolve();
+
+    // Tail of the charger -> proxy chain. Charger frames are handled one at a time in arrival order, so a
+    // StartTransaction answered by the proxy is queued for replay before the MeterValues and
+    // StopTransaction that follow it. Other work that must stay in line with charger frames joins it.
+    let upstreamHandling = Promise.resolve();
+    const handleUpstream = (task) => {
+        upstreamHandling = upstreamHandling.then(task).catch(err => {
+            logger('ERROR', 'Failed to handle charger message', { chargePointId, error: err.message });
+        });
+        return upstreamHandling;
+    };
+
     // Function to connect to CSMS with retry logic
-    const connectToCsms = (isReconnect = false) => {
-        if (!CSMS_FORWARDING_ENABLED) return Promise.resolve(null);
+    const connectToCsms = async (isReconnect = false) => {
+        if (!CSMS_FORWARDING_ENABLED) return null;
 
         const connection = clients.get(chargePointId);
-        if (!connection) return Promise.resolve(null);
+        if (!connection) return null;
 
         const attempt = isReconnect ? connection.reconnectAttempt + 1 : 1;
         connection.reconnectAttempt = attempt;
         connection.reconnecting = true;
+        const generation = connection.csmsGeneration;
+
+        // Per-charger, group or pattern route from the database, global target URL otherwise
+        const route = await csmsRouter.resolve(chargePointId);
+        if (chargerSocket.readyState !== WebSocket.OPEN) return null;
+
+        // Forwarding was disabled or the target changed while the route was being resolved
+        if (connection.csmsGeneration !== generation || !CSMS_FORWARDING_ENABLED) return null;
+
+        const csmsTarget = route.url;
+        const csmsProtocol = route.protocol || protocol;
+        const csmsHeaders = route.authorization ? { ...headers, authorization: route.authorization } : headers;
+        connection.csmsTarget = { url: route.url, protocol: route.protocol, authorization: route.authorization };
+
+        // Chargers share one circuit per CSMS; while it is open, wait instead of dialing
+        const circuit = circuitKey(csmsTarget);
+        const circuitWait = circuitBreakers.acquire(circuit);
+        if (circuitWait > 0) {
+            if (DEBUG) logger('DEBUG', 'CSMS circuit open, deferring connection attempt', { chargePointId, csms: circuit, attempt });
+            scheduleReconnect(circuitWait);
+            return null;
+        }
 
-        const csmsTarget = TARGET_CSMS_URL.endsWith('/')
-            ? `${TARGET_CSMS_URL}${chargePointId}`
-            : `${TARGET_CSMS_URL}/${chargePointId}`;
+        if (isReconnect) metrics.recordReconnectAttempt(circuit);
 
-        logger(isReconnect ? 'INFO' : 'INFO', `CSMS connection attempt ${attempt}/${CSMS_RECONNECT_MAX_ATTEMPTS}`, {
-            chargePointId,
-            target: csmsTarget,
-            protocol: req.headers['sec-websocket-protocol'] || 'none',
-            hasAuth: !!req.headers['authorization']
-        });
+        const outboundTls = csmsTlsOptionsFor(csmsTarget);
+
+        // Later attempts are only logged in debug mode; the circuit breaker reports a CSMS that stays down
+        if (attempt <= CSMS_RECONNECT_MAX_ATTEMPTS || DEBUG) {
+            logger('INFO', `CSMS connection attempt ${attempt}`, {
+                chargePointId,
+                target: csmsTarget,
+                routeId: route.routeId,
+                protocol: csmsProtocol || 'none',
+                hasAuth: !!csmsHeaders['authorization'],
+                tlsVerify: outboundTls.rejectUnauthorized
+            });
+        }
 
         return new Promise((resolve, reject) => {
+            let opened = false;
+            let lastError = null;
             try {
-                // Extract protocol - ws library expects string or array
-                const protocol = req.headers['sec-websocket-protocol'];
+                // Offer the CSMS the same subprotocol negotiated with the charger, unless the route overrides it
                 const wsOptions = {
-                    headers: headers,
-                    rejectUnauthorized: false
+                    ...outboundTls,
+                    headers: csmsHeaders,
+                    handshakeTimeout: CSMS_CONNECT_TIMEOUT
                 };
 
-                csmsSocket = protocol
-                    ? new WebSocket(csmsTarget, protocol, wsOptions)
+                csmsSocket = csmsProtocol
+                    ? new WebSocket(csmsTarget, csmsProtocol, wsOptions)
                     : new WebSocket(csmsTarget, wsOptions);
 
                 if (connection) {
                     connection.csmsSocket = csmsSocket;
                 }
 
+                const socket = csmsSocket;
+
                 // Override the standard handlers to add reconnection logic
-                csmsSocket.on('open', () => {
+                csmsSocket.on('open', async () => {
+                    opened = true;
+                    circuitBreakers.succeeded(circuit);
                     connection.reconnectAttempt = 0;
                     connection.reconnecting = false;
+                    connection.csmsConnectedAt = Math.floor(Date.now() / 1000);
+                    connection.lastCsmsError = null;
                     logger('INFO', 'CSMS connected successfully', { chargePointId, attempt });
+                    publishChargerState(chargePointId);
+
+                    // Replay transactions answered by the proxy while the CSMS was down, then flush
+                    // buffered messages, before letting newer traffic through. The buffer never holds
+                    // frames older than the queue: calls still buffered when the proxy started answering
+                    // in place of the CSMS were answered and queued then (answerBufferedMessages).
+                    connection.replaying = true;
+                    try {
+                        await replayQueuedMessages(socket);
+                    } catch (err) {
+                        logger('ERROR', 'Failed to replay queued messages to CSMS', { chargePointId, error: err.message });
+                    }
+
+                    while (connection.messageBuffer.length > 0 && socket.readyState === WebSocket.OPEN) {
+                        const buffered = connection.messageBuffer;
+                        connection.messageBuffer = [];
 
-                    if (connection.messageBuffer.length > 0) {
                         logger('INFO', 'Flushing message buffer to CSMS', {
                             chargePointId,
-                            bufferedMessages: connection.messageBuffer.length
-                        });
-
-                        connection.messageBuffer.forEach(msg => {
-                            if (csmsSocket.readyState === WebSocket.OPEN) {
-                                csmsSocket.send(msg);
-                                if (DEBUG) logger('DEBUG', 'PROXY → CSMS (buffered)', { chargePointId, message: msg });
-                            }
+                            bufferedMessages: buffered.length
                         });
 
-                        connection.messageBuffer = [];
+                        for (const msg of buffered) {
+                            await forwardToCsms(socket, msg);
+                        }
+                    }
+                    // A dropped connection already reset the flag (and a newer connection may be replaying)
+                    if (connection.csmsSocket === socket) {
+                        connection.replaying = false;
                     }
 
                     if (DEBUG) {
@@ -539,29 +1972,52 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
                 });
 
                 csmsSocket.on('error', (err) => {
-                    logger('ERROR', 'CSMS socket error', {
-                        chargePointId,
-                        error: err.message,
-                        code: err.code,
-                        errno: err.errno,
-                        syscall: err.syscall,
-                        stack: DEBUG ? err.stack : undefined,
-                        attempt
-                    });
+                    lastError = err.message;
+                    if (connection.csmsSocket === socket) connection.lastCsmsError = err.message;
+                    if (opened || attempt <= CSMS_RECONNECT_MAX_ATTEMPTS || DEBUG) {
+                        logger('ERROR', 'CSMS socket error', {
+                            chargePointId,
+                            error: err.message,
+                            code: err.code,
+                            errno: err.errno,
+                            syscall: err.syscall,
+                            stack: DEBUG ? err.stack : undefined,
+                            attempt
+                        });
+                    }
 
                     // Only reject if this is during initial connection attempt
-                    if (csmsSocket.readyState === WebSocket.CONNECTING) {
+                    if (socket.readyState === WebSocket.CONNECTING) {
                         reject(err);
                     }
                 });
 
                 csmsSocket.on('close', (code, reason) => {
-                    const logLevel = (code === 1000 && !DEBUG) ? 'DEBUG' : 'INFO';
-                    logger(logLevel, 'CSMS disconnected', { chargePointId, code, reason: reason || 'None' });
+                    if (opened || attempt <= CSMS_RECONNECT_MAX_ATTEMPTS || DEBUG) {
+                        const logLevel = (code === 1000 && !DEBUG) ? 'DEBUG' : 'INFO';
+                        logger(logLevel, 'CSMS disconnected', { chargePointId, code, reason: reason || 'None' });
+                    }
 
                     const conn = clients.get(chargePointId);
-                    if (conn && conn.csmsSocket === csmsSocket) {
+                    const current = conn && conn.csmsSocket === socket;
+
+                    // A failed attempt counts against the CSMS circuit, unless it was abandoned by the proxy
+                    if (!opened) {
+                        if (current) {
+                            circuitBreakers.failed(circuit, lastError || `closed with code ${code}`);
+                        } else {
+                            circuitBreakers.released(circuit);
+                        }
+                    }
+
+                    // Sockets dropped by a configuration change were already detached and must not reconnect
+                    if (current) {
+                        // Abort any replay waiting on this socket; unacknowledged messages stay queued
+                        conn.replayWaiters.forEach(callback => callback(null));
+
                         conn.csmsSocket = null;
+                        conn.csmsConnectedAt = null;
+                        if (opened) publishChargerState(chargePointId);
 
                         // Attempt to reconnect if charger is still connected
                         if (chargerSocket.readyState === WebSocket.OPEN && CSMS_FORWARDING_ENABLED) {
@@ -570,35 +2026,64 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
                     }
                 });
 
-                csmsSocket.on('message', async (message) => {
-                    const msgStr = message.toString();
-                    if (DEBUG) logger('DEBUG', 'CSMS → PROXY', { chargePointId, message: msgStr });
+                csmsSocket.on('message', (message) => {
+                    chargerForwarding = chargerForwarding.then(async () => {
+                        const msgStr = message.toString();
+                        if (DEBUG) logger('DEBUG', 'CSMS → PROXY', { chargePointId, message: msgStr });
 
-                    let parsed = null;
-                    try {
-                        parsed = JSON.parse(msgStr);
-                        if (Array.isArray(parsed) && parsed[0] === 4) {
-                            logger('ERROR', 'CSMS error response', { chargePointId, response: parsed });
+                        let parsed = null;
+                        try {
+                            parsed = JSON.parse(msgStr);
+                            if (Array.isArray(parsed) && parsed[0] === 4) {
+                                logger('ERROR', 'CSMS error response', { chargePointId, response: parsed });
+                            }
+                        } catch (e) {
+                            // Not JSON, just forward
+                        }
+
+                        // Responses to replayed messages are consumed by the proxy; the charger was already answered
+                        if (Array.isArray(parsed) && (parsed[0] === 3 || parsed[0] === 4) &&
+                            connection.replayWaiters.has(parsed[1])) {
+                            await logMessage(chargePointId, 'REPLAY_RESPONSE', parsed);
+                            connection.replayWaiters.get(parsed[1])(parsed);
+                            return;
                         }
-                    } catch (e) {
-                        // Not JSON, just forward
-                    }
 
-                    // Log downstream message to database
-                    await logMessage(chargePointId, 'DOWNSTREAM', parsed || msgStr);
+                        // Log downstream message to database
+                        await logMessage(chargePointId, 'DOWNSTREAM', parsed || msgStr);
 
-                    if (chargerSocket.readyState === WebSocket.OPEN) {
-                        if (DEBUG) logger('DEBUG', 'PROXY → CHARGER', { chargePointId, message: msgStr });
-                        chargerSocket.send(msgStr);
-                    } else {
-                        logger('WARNING', 'Charger disconnected, cannot forward CSMS message', { chargePointId });
-                    }
+                        // Keep the stored local list version current when the CSMS queries it
+                        if (Array.isArray(parsed) && parsed[0] === 2 && parsed[2] === 'GetLocalListVersion') {
+                            connection.localListQueries.add(parsed[1]);
+                            setTimeout(() => connection.localListQueries.delete(parsed[1]), 60000);
+                        }
+
+                        // Map CSMS-issued transaction IDs back to the proxy-issued ones the charger knows
+                        let outgoing = msgStr;
+                        try {
+                            const rewritten = await transactionRecorder.rewriteForCharger(chargePointId, parsed);
+                            if (rewritten) outgoing = JSON.stringify(rewritten);
+                        } catch (err) {
+                            logger('WARNING', 'Failed to map transaction ID for charger', { chargePointId, error: err.message });
+                        }
+
+                        if (chargerSocket.readyState === WebSocket.OPEN) {
+                            if (DEBUG) logger('DEBUG', 'PROXY → CHARGER', { chargePointId, message: outgoing });
+                            chargerSocket.send(outgoing);
+                        } else {
+                            logger('WARNING', 'Charger disconnected, cannot forward CSMS message', { chargePointId });
+                        }
+                    }).catch(err => {
+                        logger('ERROR', 'Failed to forward CSMS message to charger', { chargePointId, error: err.message });
+                    });
                 });
 
                 // --- NEW: Smart Charging Logic on Connection ---
                 // (Moved to main connection handler to support standalone mode)
 
             } catch (err) {
+                circuitBreakers.released(circuit);
+                connection.lastCsmsError = err.message;
                 logger('ERROR', 'Failed to create CSMS connection', {
                     chargePointId,
                     error: err.message,
@@ -610,29 +2095,160 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
         });
     };
 
-    // Schedule reconnection with exponential backoff
-    const scheduleReconnect = () => {
+    // Swap reconciled proxy-issued transaction IDs for the ones the CSMS assigned
+    const mapTransactionIdsForCsms = async (msgStr) => {
+        try {
+            const rewritten = await transactionRecorder.rewriteForCsms(chargePointId, JSON.parse(msgStr));
+            return rewritten ? JSON.stringify(rewritten) : msgStr;
+        } catch (err) {
+            return msgStr;
+        }
+    };
+
+    // Forward a charger frame to the CSMS. Frames are chained so that one waiting for a transaction
+    // ID lookup is not overtaken by a later one: the CSMS receives them in the charger's order.
+    let csmsForwarding = Promise.resolve();
+    const forwardToCsms = (socket, msgStr) => {
+        csmsForwarding = csmsForwarding.then(async () => {
+            const outgoing = await mapTransactionIdsForCsms(msgStr);
+            if (socket.readyState !== WebSocket.OPEN) {
+                logger('WARNING', 'CSMS disconnected, message not forwarded', { chargePointId });
+                return;
+            }
+            if (DEBUG) logger('DEBUG', 'PROXY → CSMS', { chargePointId, message: outgoing });
+            socket.send(outgoing);
+        });
+        return csmsForwarding;
+    };
+
+    // Send a replayed call to the CSMS and wait for its CallResult/CallError (null on timeout or disconnect)
+    const sendReplayFrame = (socket, frame) => new Promise((resolve) => {
+        const connection = clients.get(chargePointId);
+        const messageId = frame[1];
+
+        const timer = setTimeout(() => {
+            connection.replayWaiters.delete(messageId);
+            resolve(null);
+        }, CSMS_REPLAY_TIMEOUT);
+
+        connection.replayWaiters.set(messageId, (response) => {
+            clearTimeout(timer);
+            connection.replayWaiters.delete(messageId);
+            resolve(response);
+        });
+
+        socket.send(JSON.stringify(frame));
+    });
+
+    // Replay queued transaction messages to the CSMS in order, one at a time.
+    // A StartTransaction result links the proxy-issued ID to the CSMS-issued one so that
+    // later queued and live StopTransaction/MeterValues carry the CSMS ID. When the CSMS
+    // rejects a StartTransaction, the queued messages of that transaction are dropped.
+    // If the CSMS does not answer, the connection is closed so the queue is replayed from
+    // the unanswered message after reconnecting, still ahead of newer traffic.
+    const replayQueuedMessages = async (socket) => {
+        const queued = await db.getQueuedCsmsMessages(chargePointId);
+        if (queued.length === 0) return;
+
+        logger('INFO', 'Replaying queued transaction messages to CSMS', { chargePointId, queuedMessages: queued.length });
+
+        const dropped = new Set(); // Queue IDs removed along with a rejected StartTransaction
+
+        for (const item of queued) {
+            if (socket.readyState !== WebSocket.OPEN || !clients.has(chargePointId)) return;
+            if (dropped.has(item.id)) continue;
+
+            const original = JSON.parse(item.payload);
+            const rewritten = await transactionRecorder.rewriteForCsms(chargePointId, original);
+            // Fresh message ID so the CSMS response cannot be mistaken for live traffic
+            const frame = [2, crypto.randomUUID(), item.action, (rewritten || original)[3]];
+
+            await logMessage(chargePointId, 'REPLAY_REQUEST', frame);
+            const response = await sendReplayFrame(socket, frame);
+
+            if (!response) {
+                if (socket.readyState === WebSocket.OPEN) {
+                    logger('WARNING', 'No CSMS response to replayed message, reconnecting to retry', {
+                        chargePointId,
+                        action: item.action,
+                        queueId: item.id
+                    });
+                    // Newer traffic stays buffered; the close handler schedules the reconnection
+                    socket.terminate();
+                }
+                return;
+            }
+
+            if (response[0] === 4) {
+                logger('WARNING', 'CSMS rejected replayed message, dropping it', {
+                    chargePointId,
+                    action: item.action,
+                    errorCode: response[2]
+                });
+
+                // StopTransaction/MeterValues of a rejected transaction carry an ID the CSMS never issued
+                if (item.action === 'StartTransaction' && item.proxy_transaction_id) {
+                    for (const later of queued) {
+                        const payload = later.id > item.id ? JSON.parse(later.payload)[3] : null;
+                        if (payload && payload.transactionId === item.proxy_transaction_id) {
+                            await db.deleteQueuedCsmsMessage(later.id);
+                            dropped.add(later.id);
+                            logger('WARNING', 'Dropping queued message of rejected transaction', {
+                                chargePointId,
+                                action: later.action,
+                                transactionId: item.proxy_transaction_id
+                            });
+                        }
+                    }
+                }
+            } else if (item.action === 'StartTransaction' && item.proxy_transaction_id &&
+                response[2] && response[2].transactionId !== undefined) {
+                await transactionRecorder.reconcile(chargePointId, item.proxy_transaction_id, response[2].transactionId);
+            }
+
+            await db.deleteQueuedCsmsMessage(item.id);
+        }
+
+        logger('INFO', 'Finished replaying queued transaction messages', { chargePointId });
+    };
+
+    // Schedule the next reconnection attempt with capped, jittered exponential backoff. Retries continue
+    // for as long as the charger is connected; `minDelay` defers the attempt until a CSMS circuit may close.
+    const scheduleReconnect = (minDelay = 0) => {
         const connection = clients.get(chargePointId);
         if (!connection) return;
 
-        if (connection.reconnectAttempt >= CSMS_RECONNECT_MAX_ATTEMPTS) {
-            logger('WARNING', `CSMS reconnection failed after ${CSMS_RECONNECT_MAX_ATTEMPTS} attempts, giving up`, {
+        if (connection.reconnectAttempt === CSMS_RECONNECT_MAX_ATTEMPTS) {
+            logger('WARNING', `CSMS unreachable after ${CSMS_RECONNECT_MAX_ATTEMPTS} attempts, answering charger in standalone mode while retrying`, {
                 chargePointId
             });
-            connection.reconnecting = false;
-            return;
+        }
+        // From now on the proxy answers the charger; calls buffered during the attempts must not wait
+        if (connection.reconnectAttempt >= CSMS_RECONNECT_MAX_ATTEMPTS) {
+            handleUpstream(answerBufferedMessages);
         }
 
-        const delay = CSMS_RECONNECT_BASE_DELAY * Math.pow(2, connection.reconnectAttempt);
-        logger('INFO', `Scheduling CSMS reconnection`, {
-            chargePointId,
-            nextAttempt: connection.reconnectAttempt + 1,
-            delayMs: delay
+        const delay = backoffDelay(connection.reconnectAttempt, {
+            baseDelay: CSMS_RECONNECT_BASE_DELAY,
+            maxDelay: CSMS_RECONNECT_MAX_DELAY,
+            minDelay
         });
+        if (connection.reconnectAttempt < CSMS_RECONNECT_MAX_ATTEMPTS || DEBUG) {
+            logger('INFO', `Scheduling CSMS reconnection`, {
+                chargePointId,
+                nextAttempt: connection.reconnectAttempt + 1,
+                delayMs: delay
+            });
+        }
 
+        if (connection.reconnectTimer) clearTimeout(connection.reconnectTimer);
+        connection.nextReconnectAt = Date.now() + delay;
+        publishChargerState(chargePointId);
         connection.reconnectTimer = setTimeout(() => {
+            connection.reconnectTimer = null;
+            connection.nextReconnectAt = null;
             const conn = clients.get(chargePointId);
-            if (conn && chargerSocket.readyState === WebSocket.OPEN) {
+            if (conn === connection && chargerSocket.readyState === WebSocket.OPEN) {
                 connectToCsms(true).catch(err => {
                     logger('ERROR', 'CSMS reconnection failed', {
                         chargePointId,
@@ -645,6 +2261,210 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
         }, delay);
     };
 
+    // Open the read-only mirror CSMS connection. The mirror receives a copy of the charger's calls;
+    // everything it sends back is logged (MIRROR_RESPONSE / MIRROR_CALL) and never reaches the charger.
+    const connectToMirror = async (isReconnect = false) => {
+        const connection = clients.get(chargePointId);
+        if (!connection) return;
+
+        const generation = connection.mirrorGeneration;
+        const mirror = await csmsRouter.resolveMirror(chargePointId);
+        if (!mirror || chargerSocket.readyState !== WebSocket.OPEN || connection.mirrorGeneration !== generation) return;
+
+        const attempt = isReconnect ? connection.mirrorReconnectAttempt + 1 : 1;
+        connection.mirrorReconnectAttempt = attempt;
+        const outboundTls = csmsTlsOptionsFor(mirror.url);
+
+        if (attempt <= CSMS_RECONNECT_MAX_ATTEMPTS || DEBUG) {
+            logger('INFO', `Mirror CSMS connection attempt ${attempt}`, {
+                chargePointId,
+                target: mirror.url,
+                source: mirror.source,
+                tlsVerify: outboundTls.rejectUnauthorized
+            });
+        }
+
+        let socket;
+        try {
+            const wsOptions = {
+                ...outboundTls,
+                headers,
+                handshakeTimeout: CSMS_CONNECT_TIMEOUT
+            };
+            socket = protocol
+                ? new WebSocket(mirror.url, protocol, wsOptions)
+                : new WebSocket(mirror.url, wsOptions);
+        } catch (err) {
+            logger('ERROR', 'Failed to create mirror CSMS connection', { chargePointId, target: mirror.url, error: err.message });
+            return;
+        }
+        connection.mirrorSocket = socket;
+        connection.mirrorUrl = mirror.url;
+
+        socket.on('open', () => {
+            connection.mirrorReconnectAttempt = 0;
+            logger('INFO', 'Mirror CSMS connected', { chargePointId, target: mirror.url });
+        });
+
+        socket.on('error', (err) => {
+            if (attempt <= CSMS_RECONNECT_MAX_ATTEMPTS || DEBUG) {
+                logger('WARNING', 'Mirror CSMS socket error', { chargePointId, error: err.message, attempt });
+            }
+        });
+
+        socket.on('close', (code, reason) => {
+            logger('INFO', 'Mirror CSMS disconnected', { chargePointId, code, reason: reason.toString() || 'None' });
+
+            if (connection.mirrorSocket !== socket) return;
+            connection.mirrorSocket = null;
+
+            if (chargerSocket.readyState === WebSocket.OPEN) {
+                scheduleMirrorReconnect();
+            }
+        });
+
+        socket.on('message', async (message) => {
+            const msgStr = message.toString();
+            if (DEBUG) logger('DEBUG', 'MIRROR → PROXY', { chargePointId, message: msgStr });
+
+            let parsed = null;
+            try {
+                parsed = JSON.parse(msgStr);
+            } catch (e) {
+                // Not JSON, log as-is
+            }
+
+            const direction = Array.isArray(parsed) && parsed[0] === 2 ? 'MIRROR_CALL' : 'MIRROR_RESPONSE';
+            await logMessage(chargePointId, direction, parsed || msgStr);
+        });
+    };
+
+    // Schedule a mirror reconnection with the same backoff as the primary CSMS (without a circuit breaker)
+    const scheduleMirrorReconnect = () => {
+        const connection = clients.get(chargePointId);
+        if (!connection) return;
+
+        const delay = backoffDelay(connection.mirrorReconnectAttempt, {
+            baseDelay: CSMS_RECONNECT_BASE_DELAY,
+            maxDelay: CSMS_RECONNECT_MAX_DELAY
+        });
+        connection.mirrorReconnectTimer = setTimeout(() => {
+            connection.mirrorReconnectTimer = null;
+            if (clients.get(chargePointId) === connection && chargerSocket.readyState === WebSocket.OPEN) {
+                connectToMirror(true).catch(err => {
+                    logger('ERROR', 'Mirror CSMS reconnection failed', { chargePointId, error: err.message });
+                });
+            }
+        }, delay);
+    };
+
+    // Copy a charger message to the mirror CSMS (dropped while the mirror is not connected)
+    const sendToMirror = (msgStr) => {
+        const connection = clients.get(chargePointId);
+        if (connection && connection.mirrorSocket && connection.mirrorSocket.readyState === WebSocket.OPEN) {
+            if (DEBUG) logger('DEBUG', 'PROXY → MIRROR', { chargePointId, message: msgStr });
+            connection.mirrorSocket.send(msgStr);
+        }
+    };
+
+    // Close the CSMS connection without reconnecting and abandon attempts in progress. Unless
+    // `keepBuffer` is set (re-dial), the proxy answers the calls buffered for the CSMS (standalone mode).
+    const dropCsmsConnection = (connection, { keepBuffer = false } = {}) => {
+        connection.csmsGeneration++;
+        if (connection.reconnectTimer) {
+            clearTimeout(connection.reconnectTimer);
+            connection.reconnectTimer = null;
+        }
+        connection.nextReconnectAt = null;
+        connection.reconnecting = false;
+        connection.reconnectAttempt = 0;
+        connection.replaying = false;
+        connection.replayWaiters.forEach(callback => callback(null));
+
+        const socket = connection.csmsSocket;
+        connection.csmsSocket = null;
+        connection.csmsTarget = null;
+        if (socket) socket.close();
+
+        if (!keepBuffer && connection.messageBuffer.length > 0) {
+            handleUpstream(answerBufferedMessages);
+        }
+    };
+
+    const dropMirrorConnection = (connection) => {
+        connection.mirrorGeneration++;
+        if (connection.mirrorReconnectTimer) {
+            clearTimeout(connection.mirrorReconnectTimer);
+            connection.mirrorReconnectTimer = null;
+        }
+        connection.mirrorReconnectAttempt = 0;
+
+        const socket = connection.mirrorSocket;
+        connection.mirrorSocket = null;
+        connection.mirrorUrl = null;
+        if (socket) socket.close();
+    };
+
+    // Bring the live CSMS and mirror connections in line with the current configuration without
+    // disconnecting the charger: connect when forwarding was enabled, re-dial when the target changed,
+    // and close the CSMS connection (standalone mode) when forwarding was disabled.
+    const applyCsmsConfig = async () => {
+        const connection = clients.get(chargePointId);
+        if (!connection || chargerSocket.readyState !== WebSocket.OPEN) return;
+
+        const active = !!connection.csmsSocket || connection.reconnecting;
+
+        if (!CSMS_FORWARDING_ENABLED) {
+            if (active) {
+                logger('INFO', 'CSMS forwarding disabled, switching to standalone mode', { chargePointId });
+                dropCsmsConnection(connection);
+            }
+        } else {
+            const route = await csmsRouter.resolve(chargePointId);
+            if (clients.get(chargePointId) !== connection) return;
+
+            const current = connection.csmsTarget;
+            const unchanged = current && current.url === route.url &&
+                current.protocol === route.protocol && current.authorization === route.authorization;
+
+            if (!active || !unchanged) {
+                if (active) {
+                    logger('INFO', 'CSMS target changed, reconnecting to CSMS', {
+                        chargePointId,
+                        from: current ? current.url : null,
+                        to: route.url
+                    });
+                } else {
+                    logger('INFO', 'CSMS forwarding enabled, connecting to CSMS', { chargePointId, target: route.url });
+                }
+                dropCsmsConnection(connection, { keepBuffer: true });
+                connectToCsms(false).catch(err => {
+                    logger('ERROR', 'CSMS connection failed', { chargePointId, error: err.message });
+                });
+            }
+        }
+
+        const mirror = await csmsRouter.resolveMirror(chargePointId);
+        if (clients.get(chargePointId) !== connection) return;
+
+        const mirrorUrl = mirror ? mirror.url : null;
+        const mirrorActive = !!connection.mirrorSocket || !!connection.mirrorReconnectTimer;
+        if (mirrorUrl !== connection.mirrorUrl || (mirrorUrl && !mirrorActive)) {
+            logger('INFO', 'Applying mirror CSMS configuration', { chargePointId, from: connection.mirrorUrl, to: mirrorUrl });
+            dropMirrorConnection(connection);
+            if (mirrorUrl) {
+                connectToMirror(false).catch(err => {
+                    logger('ERROR', 'Mirror CSMS connection failed', { chargePointId, error: err.message });
+                });
+            }
+        }
+    };
+    clients.get(chargePointId).applyCsmsConfig = applyCsmsConfig;
+
+    connectToMirror(false).catch(err => {
+        logger('ERROR', 'Initial mirror CSMS connection failed', { chargePointId, error: err.message });
+    });
+
     // Call connect function
     if (CSMS_FORWARDING_ENABLED) {
         connectToCsms(false).catch(err => {
@@ -658,11 +2478,210 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
         logger('INFO', 'CSMS forwarding disabled, running in standalone mode', { chargePointId });
     }
 
+    // Answer a charger call in place of the CSMS (standalone mode). Returns the response sent, or null
+    // for actions the proxy does not answer. Transaction messages are queued for replay to the CSMS.
+    const answerAsProxy = async (parsedMsg, { logRequest = true } = {}) => {
+        const [, messageId, action] = parsedMsg;
+        let proxyResponse = null;
+
+        switch (action) {
+            case 'BootNotification':
+                logger('INFO', 'Responding to BootNotification (CSMS unavailable)', {
+                    chargePointId,
+                    csmsState: csmsSocket?.readyState
+                });
+                proxyResponse = [3, messageId, {
+                    status: 'Accepted',
+                    currentTime: new Date().toISOString(),
+                    interval: 300
+                }];
+                break;
+
+            case 'Heartbeat':
+                if (DEBUG) logger('DEBUG', 'Responding to Heartbeat (CSMS unavailable)', { chargePointId });
+                proxyResponse = [3, messageId, {
+                    currentTime: new Date().toISOString()
+                }];
+                break;
+
+            case 'Authorize':
+                const requestedIdTag = ocpp.getIdTag(parsedMsg[3]);
+                const authorization = await authorizeIdTag(chargePointId, requestedIdTag);
+
+                if (authorization.status === 'Accepted') {
+                    logger('INFO', `Accepting Authorize (${authorization.reason}, CSMS unavailable)`, { chargePointId, idTag: requestedIdTag });
+                } else {
+                    logger('INFO', `Rejecting Authorize (${authorization.reason}, CSMS unavailable)`, {
+                        chargePointId,
+                        idTag: requestedIdTag,
+                        status: authorization.status
+                    });
+                }
+                proxyResponse = [3, messageId, ocpp.authorizationInfo(protocol, authorization.status, authorization)];
+                break;
+
+            case 'StatusNotification':
+                if (DEBUG) logger('DEBUG', 'Acknowledging StatusNotification (CSMS unavailable)', { chargePointId });
+                proxyResponse = [3, messageId, {}];
+
+                // Auto-start charging if a vehicle is plugged in and auto charge is enabled
+                // (OCPP 1.6 reports "Preparing", OCPP 2.0.1 reports connectorStatus "Occupied" per EVSE)
+                const pluggedIn = ocpp.isOcpp201(protocol)
+                    ? parsedMsg[3]?.connectorStatus === 'Occupied'
+                    : parsedMsg[3]?.status === 'Preparing';
+                if (AUTO_CHARGE_ENABLED && pluggedIn) {
+                    const connectorId = (ocpp.isOcpp201(protocol) ? parsedMsg[3]?.evseId : parsedMsg[3]?.connectorId) || 1;
+                    logger('INFO', 'Auto-starting charge session (vehicle plugged in, auto charge enabled)', {
+                        chargePointId,
+                        connectorId
+                    });
+
+                    // Send remote start after a brief delay to let StatusNotification complete
+                    setTimeout(() => {
+                        const startMessageId = crypto.randomUUID().substring(0, 36);
+                        const [startAction, startPayload] = ocpp.buildRemoteStart(protocol, {
+                            connectorId: connectorId,
+                            idTag: DEFAULT_ID_TAG
+                        });
+                        const startMessage = [2, startMessageId, startAction, startPayload];
+
+                        const connection = clients.get(chargePointId);
+                        if (connection && connection.chargerSocket && connection.chargerSocket.readyState === WebSocket.OPEN) {
+                            connection.pendingIds.add(startMessageId);
+
+                            setTimeout(() => {
+                                if (connection.pendingIds.has(startMessageId)) {
+                                    connection.pendingIds.delete(startMessageId);
+                                    if (DEBUG) logger('DEBUG', `Cleaned up stale auto-start ID`, { chargePointId, messageId: startMessageId });
+                                }
+                            }, 60000);
+
+                            connection.chargerSocket.send(JSON.stringify(startMessage));
+                            logMessage(chargePointId, 'INJECTION_REQUEST', startMessage);
+                            logger('INFO', 'Auto-start command sent', { chargePointId, connectorId, idTag: DEFAULT_ID_TAG });
+                        }
+                    }, 100);
+                }
+                break;
+
+            case 'MeterValues':
+                if (DEBUG) logger('DEBUG', 'Acknowledging MeterValues (CSMS unavailable)', { chargePointId });
+                proxyResponse = [3, messageId, {}];
+                break;
+
+            case 'StartTransaction':
+                try {
+                    // Allocated from the database so IDs stay unique across restarts and chargers
+                    const transactionId = await db.allocateTransactionId(chargePointId);
+                    const startAuthorization = await authorizeIdTag(chargePointId, parsedMsg[3]?.idTag, { consumePending: true });
+                    logger('INFO', 'Responding to StartTransaction with generated ID (CSMS unavailable)', {
+                        chargePointId,
+                        transactionId,
+                        idTagStatus: startAuthorization.status
+                    });
+                    proxyResponse = [3, messageId, {
+                        transactionId,
+                        ...ocpp.authorizationInfo(protocol, startAuthorization.status, startAuthorization)
+                    }];
+                } catch (err) {
+                    logger('ERROR', 'Failed to allocate transaction ID', { chargePointId, error: err.message });
+                    proxyResponse = [4, messageId, 'InternalError', 'Failed to allocate transaction ID', {}];
+                }
+                break;
+
+            case 'TransactionEvent':
+                // OCPP 2.0.1 replaces Start/StopTransaction with TransactionEvent
+                logger('INFO', 'Acknowledging TransactionEvent (CSMS unavailable)', {
+                    chargePointId,
+                    eventType: parsedMsg[3]?.eventType,
+                    transactionId: parsedMsg[3]?.transactionInfo?.transactionId
+                });
+                if (parsedMsg[3]?.idToken) {
+                    const eventAuthorization = await authorizeIdTag(chargePointId, ocpp.getIdTag(parsedMsg[3]), {
+                        consumePending: parsedMsg[3].eventType === 'Started'
+                    });
+                    proxyResponse = [3, messageId, ocpp.authorizationInfo(protocol, eventAuthorization.status, eventAuthorization)];
+                } else {
+                    proxyResponse = [3, messageId, {}];
+                }
+                break;
+
+            case 'NotifyReport':
+                if (DEBUG) logger('DEBUG', 'Acknowledging NotifyReport (CSMS unavailable)', { chargePointId });
+                proxyResponse = [3, messageId, {}];
+                break;
+
+            case 'StopTransaction':
+                logger('INFO', 'Acknowledging StopTransaction (CSMS unavailable)', { chargePointId });
+                proxyResponse = [3, messageId, {
+                    idTagInfo: {
+                        status: 'Accepted'
+                    }
+                }];
+                break;
+
+            default:
+                if (DEBUG) logger('DEBUG', 'Unhandled upstream action (CSMS unavailable)', { chargePointId, action });
+                break;
+        }
+
+        if (!proxyResponse) return null;
+
+        if (logRequest) logMessage(chargePointId, 'UPSTREAM', parsedMsg);
+        chargerSocket.send(JSON.stringify(proxyResponse));
+        logMessage(chargePointId, 'PROXY_RESPONSE', proxyResponse);
+
+        // Keep transaction messages so the CSMS learns about sessions handled while it was down
+        if (CSMS_FORWARDING_ENABLED && proxyResponse[0] === 3 && STORE_AND_FORWARD_ACTIONS.includes(action)) {
+            try {
+                const proxyTransactionId = action === 'StartTransaction' ? proxyResponse[2].transactionId : null;
+                await db.enqueueCsmsMessage(chargePointId, action, parsedMsg, proxyTransactionId);
+                logger('INFO', 'Queued transaction message for CSMS replay', { chargePointId, action });
+            } catch (err) {
+                logger('ERROR', 'Failed to queue message for CSMS replay', { chargePointId, action, error: err.message });
+            }
+        }
+
+        return proxyResponse;
+    };
+
+    // Answer the calls still buffered for the CSMS once the proxy answers in its place. They are older
+    // than anything the proxy answers from now on, so they are answered and queued for replay first;
+    // calls the proxy cannot answer get a CallError. Buffered responses to CSMS calls are dropped.
+    const answerBufferedMessages = async () => {
+        const connection = clients.get(chargePointId);
+        if (!connection || connection.messageBuffer.length === 0) return;
+
+        const buffered = connection.messageBuffer;
+        connection.messageBuffer = [];
+        logger('INFO', 'Answering messages buffered for the CSMS in standalone mode', {
+            chargePointId,
+            bufferedMessages: buffered.length
+        });
+
+        for (const msgStr of buffered) {
+            let frame = null;
+            try {
+                frame = JSON.parse(msgStr);
+            } catch (e) {
+                continue;
+            }
+            if (!Array.isArray(frame) || frame[0] !== 2) continue;
+
+            // Already logged as UPSTREAM when it was buffered
+            if (!(await answerAsProxy(frame, { logRequest: false }))) {
+                const callError = [4, frame[1], 'InternalError', 'CSMS unavailable', {}];
+                chargerSocket.send(JSON.stringify(callError));
+                logMessage(chargePointId, 'PROXY_RESPONSE', callError);
+            }
+        }
+    };
+
     // Track if this is the first message from charger
     let firstMessageReceived = false;
 
     // --- FROM CHARGER (Upstream) ---
-    chargerSocket.on('message', async (message) => {
+    const handleChargerMessage = async (message) => {
         const msgStr = message.toString();
 
         if (!firstMessageReceived) {
@@ -689,16 +2708,30 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
         try {
             parsedMsg = JSON.parse(msgStr);
 
+            // Charger-initiated calls go to the mirror as-is, whether the primary CSMS or the proxy answers
+            // them. Responses to the primary CSMS's calls are not copied: the mirror never sent those calls.
+            if (Array.isArray(parsedMsg) && parsedMsg[0] === 2) {
+                sendToMirror(msgStr);
+            }
+
             if (Array.isArray(parsedMsg) && (parsedMsg[0] === 3 || parsedMsg[0] === 4)) {
                 const msgId = parsedMsg[1];
                 const clientData = clients.get(chargePointId);
 
+                if (clientData && clientData.localListQueries.has(msgId)) {
+                    clientData.localListQueries.delete(msgId);
+                    recordLocalListVersion(chargePointId, parsedMsg);
+                }
+
                 if (clientData && clientData.pendingIds.has(msgId)) {
                     logger('INFO', 'Intercepted injection response', { chargePointId, messageId: msgId });
 
                     logMessage(chargePointId, 'INJECTION_RESPONSE', parsedMsg);
 
                     clientData.pendingIds.delete(msgId);
+                    if (clientData.injectionWaiters.has(msgId)) {
+                        clientData.injectionWaiters.get(msgId)(parsedMsg);
+                    }
 
                     shouldForward = false;
                 }
@@ -722,136 +2755,14 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
                         reconnectAttempt: connection.reconnectAttempt,
                         bufferSize: connection.messageBuffer.length + 1
                     });
+                    logMessage(chargePointId, 'UPSTREAM', parsedMsg);
                     connection.messageBuffer.push(msgStr);
                     shouldForward = false;
                 } else if (csmsUnavailable) {
-                    // CSMS is unavailable and we've exhausted retries, respond with proxy
-                    let proxyResponse = null;
-
-                    switch (action) {
-                        case 'BootNotification':
-                            logger('INFO', 'Responding to BootNotification (CSMS unavailable)', {
-                                chargePointId,
-                                csmsState: csmsSocket?.readyState
-                            });
-                            proxyResponse = [3, messageId, {
-                                status: 'Accepted',
-                                currentTime: new Date().toISOString(),
-                                interval: 300
-                            }];
-                            break;
-
-                        case 'Heartbeat':
-                            if (DEBUG) logger('DEBUG', 'Responding to Heartbeat (CSMS unavailable)', { chargePointId });
-                            proxyResponse = [3, messageId, {
-                                currentTime: new Date().toISOString()
-                            }];
-                            break;
-
-                        case 'Authorize':
-                            const requestedIdTag = parsedMsg[3]?.idTag;
-                            const clientData = clients.get(chargePointId);
-                            const isPendingIdTag = clientData && clientData.pendingIdTags.has(requestedIdTag);
-
-                            if (AUTO_CHARGE_ENABLED || isPendingIdTag) {
-                                const reason = isPendingIdTag ? 'pending injected RemoteStartTransaction' : 'auto charge enabled';
-                                logger('INFO', `Auto-accepting Authorize (${reason}, CSMS unavailable)`, { chargePointId, idTag: requestedIdTag });
-                                proxyResponse = [3, messageId, {
-                                    idTagInfo: {
-                                        status: 'Accepted'
-                                    }
-                                }];
-
-                                // Remove idTag from pending set since it's now been authorized
-                                if (isPendingIdTag) {
-                                    clientData.pendingIdTags.delete(requestedIdTag);
-                                    logger('INFO', 'Removed idTag from pending set after authorization', { chargePointId, idTag: requestedIdTag });
-                                }
-                            } else {
-                                logger('INFO', 'Rejecting Authorize (auto charge disabled, CSMS unavailable)', { chargePointId, idTag: requestedIdTag });
-                                proxyResponse = [3, messageId, {
-                                    idTagInfo: {
-                                        status: 'Invalid'
-                                    }
-                                }];
-                            }
-                            break;
-
-                        case 'StatusNotification':
-                            if (DEBUG) logger('DEBUG', 'Acknowledging StatusNotification (CSMS unavailable)', { chargePointId });
-                            proxyResponse = [3, messageId, {}];
-
-                            // Auto-start charging if status is "Preparing" and auto charge is enabled
-                            if (AUTO_CHARGE_ENABLED && parsedMsg[3]?.status === 'Preparing') {
-                                const connectorId = parsedMsg[3]?.connectorId || 1;
-                                logger('INFO', 'Auto-starting charge session (status: Preparing, auto charge enabled)', {
-                                    chargePointId,
-                                    connectorId
-                                });
-
-                                // Send RemoteStartTransaction after a brief delay to let StatusNotification complete
-                                setTimeout(() => {
-                                    const startMessageId = crypto.randomUUID().substring(0, 36);
-                                    const startPayload = {
-                                        connectorId: connectorId,
-                                        idTag: DEFAULT_ID_TAG
-                                    };
-                                    const startMessage = [2, startMessageId, 'RemoteStartTransaction', startPayload];
-
-                                    const connection = clients.get(chargePointId);
-                                    if (connection && connection.chargerSocket && connection.chargerSocket.readyState === WebSocket.OPEN) {
-                                        connection.pendingIds.add(startMessageId);
-
-                                        setTimeout(() => {
-                                            if (connection.pendingIds.has(startMessageId)) {
-                                                connection.pendingIds.delete(startMessageId);
-                                                if (DEBUG) logger('DEBUG', `Cleaned up stale auto-start ID`, { chargePointId, messageId: startMessageId });
-                                            }
-                                        }, 60000);
-
-                                        connection.chargerSocket.send(JSON.stringify(startMessage));
-                                        logMessage(chargePointId, 'INJECTION_REQUEST', startMessage);
-                                        logger('INFO', 'Auto-start command sent', { chargePointId, connectorId, idTag: DEFAULT_ID_TAG });
-                                    }
-                                }, 100);
-                            }
-                            break;
-
-                        case 'MeterValues':
-                            if (DEBUG) logger('DEBUG', 'Acknowledging MeterValues (CSMS unavailable)', { chargePointId });
-                            proxyResponse = [3, messageId, {}];
-                            break;
-
-                        case 'StartTransaction':
-                            logger('INFO', 'Responding to StartTransaction with generated ID (CSMS unavailable)', { chargePointId });
-                            proxyResponse = [3, messageId, {
-                                transactionId: transactionIdCounter++,
-                                idTagInfo: {
-                                    status: 'Accepted'
-                                }
-                            }];
-                            break;
-
-                        case 'StopTransaction':
-                            logger('INFO', 'Acknowledging StopTransaction (CSMS unavailable)', { chargePointId });
-                            proxyResponse = [3, messageId, {
-                                idTagInfo: {
-                                    status: 'Accepted'
-                                }
-                            }];
-                            break;
-
-                        default:
-                            if (DEBUG) logger('DEBUG', 'Unhandled upstream action (CSMS unavailable)', { chargePointId, action });
-                            break;
-                    }
-
-                    if (proxyResponse) {
-                        logMessage(chargePointId, 'UPSTREAM', parsedMsg);
-                        chargerSocket.send(JSON.stringify(proxyResponse));
-                        logMessage(chargePointId, 'PROXY_RESPONSE', proxyResponse);
-                        shouldForward = false;
-                    }
+                    // CSMS is unavailable and we've exhausted retries, respond with proxy - after the
+                    // older calls still buffered from the reconnection attempts
+                    await answerBufferedMessages();
+                    if (await answerAsProxy(parsedMsg)) shouldForward = false;
                 }
             }
         } catch (e) {
@@ -861,11 +2772,12 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
         if (shouldForward) {
             logMessage(chargePointId, 'UPSTREAM', parsedMsg || msgStr);
 
-            if (csmsSocket && csmsSocket.readyState === WebSocket.OPEN) {
-                if (DEBUG) logger('DEBUG', 'PROXY → CSMS', { chargePointId, message: msgStr });
-                csmsSocket.send(msgStr);
-            } else if (csmsSocket && csmsSocket.readyState === WebSocket.CONNECTING) {
-                // Buffer messages while CSMS is connecting
+            const replaying = clients.get(chargePointId)?.replaying;
+
+            if (csmsSocket && csmsSocket.readyState === WebSocket.OPEN && !replaying) {
+                await forwardToCsms(csmsSocket, msgStr);
+            } else if (csmsSocket && (csmsSocket.readyState === WebSocket.CONNECTING || replaying)) {
+                // Buffer messages while CSMS is connecting or queued messages are being replayed
                 const connection = clients.get(chargePointId);
                 if (connection) {
                     connection.messageBuffer.push(msgStr);
@@ -878,7 +2790,8 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
                 logger('WARNING', 'CSMS unavailable, message not forwarded', { chargePointId });
             }
         }
-    });
+    };
+    chargerSocket.on('message', (message) => handleUpstream(() => handleChargerMessage(message)));
 
     chargerSocket.on('close', async () => {
         logger('INFO', 'Charger disconnected', { chargePointId });
@@ -886,6 +2799,7 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
         // Update charger status to OFFLINE
         try {
             await db.updateChargerStatus(chargePointId, 'OFFLINE');
+            publishChargerState(chargePointId);
         } catch (err) {
             logger('ERROR', 'Failed to update charger status on disconnect', { chargePointId, error: err.message });
         }
@@ -893,6 +2807,9 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
         // Close CSMS connection and cleanup
         const connection = clients.get(chargePointId);
         if (connection) {
+            // Release API requests waiting for a response that will never arrive
+            connection.injectionWaiters.forEach(callback => callback(null));
+
             // Clear reconnection timer if active
             if (connection.reconnectTimer) {
                 clearTimeout(connection.reconnectTimer);
@@ -904,16 +2821,163 @@ wss.on('connection', async (chargerSocket, req, chargePointId) => {
                 connection.csmsSocket.close();
                 connection.csmsSocket = null;
             }
+
+            if (connection.mirrorReconnectTimer) {
+                clearTimeout(connection.mirrorReconnectTimer);
+                connection.mirrorReconnectTimer = null;
+            }
+            if (connection.mirrorSocket) {
+                const mirrorSocket = connection.mirrorSocket;
+                connection.mirrorSocket = null;
+                mirrorSocket.close();
+            }
         }
         clients.delete(chargePointId);
+        transactionRecorder.forget(chargePointId);
     });
 
 });
 
+// Helper: Send a proxy-originated call to a connected charger. The message ID is tracked in
+// `pendingIds` so the charger's answer is logged as INJECTION_RESPONSE instead of being forwarded
+// to the CSMS. Returns { messageId, response }, where `response` resolves with the CallResult or
+// CallError frame, or with null if the charger does not answer within `timeout` ms.
+async function injectCall(cpId, action, payload, { timeout = CHARGER_RESPONSE_TIMEOUT } = {}) {
+    const connection = clients.get(cpId);
+    const messageId = crypto.randomUUID().substring(0, 36);
+    const ocppMessage = [2, messageId, action, payload];
+
+    connection.pendingIds.add(messageId);
+    if (action === 'GetLocalListVersion') connection.localListQueries.add(messageId);
+    // Keep intercepting the response at least as long as the caller waits for it
+    setTimeout(() => {
+        connection.localListQueries.delete(messageId);
+        if (connection.pendingIds.has(messageId)) {
+            connection.pendingIds.delete(messageId);
+            if (DEBUG) logger('DEBUG', `Cleaned up stale injection ID`, { chargePointId: cpId, messageId });
+        }
+    }, Math.max(60000, timeout));
+
+    const response = new Promise(resolve => {
+        const timer = setTimeout(() => {
+            connection.injectionWaiters.delete(messageId);
+            metrics.recordInjectionTimeout(action);
+            resolve(null);
+        }, timeout);
+        connection.injectionWaiters.set(messageId, (frame) => {
+            clearTimeout(timer);
+            connection.injectionWaiters.delete(messageId);
+            resolve(frame);
+        });
+    });
+
+    connection.chargerSocket.send(JSON.stringify(ocppMessage));
+    await logMessage(cpId, 'INJECTION_REQUEST', ocppMessage);
+
+    return { messageId, response };
+}
+
+// Helper: Store the list version from a charger's GetLocalListVersion response
+async function recordLocalListVersion(cpId, frame) {
+    if (frame[0] !== 3) return;
+
+    const version = ocpp.getLocalListVersion(frame[2]);
+    if (typeof version !== 'number') return;
+
+    try {
+        await db.setChargerLocalListVersion(cpId, version);
+        logger('INFO', 'Charger local list version updated', { chargePointId: cpId, listVersion: version });
+    } catch (err) {
+        logger('ERROR', 'Failed to store local list version', { chargePointId: cpId, error: err.message });
+    }
+}
+
+// Helper: Decide the authorization status for an idTag when the proxy answers in place of the CSMS.
+// Pending injected remote starts are always accepted; tags in the local authorization list use their
+// stored status (and expiry); unknown tags are only accepted when automatic charging is enabled.
+// `consumePending` removes a pending remote start tag once its transaction has started.
+async function authorizeIdTag(cpId, idTag, { consumePending = false } = {}) {
+    const connection = clients.get(cpId);
+    if (connection && connection.pendingIdTags.has(idTag)) {
+        if (consumePending) {
+            connection.pendingIdTags.delete(idTag);
+            logger('INFO', 'Removed idTag from pending set after transaction start', { chargePointId: cpId, idTag });
+        }
+        return { status: 'Accepted', reason: 'pending injected remote start' };
+    }
+
+    let entry = null;
+    try {
+        entry = idTag ? await db.getIdTag(idTag) : null;
+    } catch (err) {
+        logger('WARNING', 'Failed to look up idTag in local authorization list', { chargePointId: cpId, idTag, error: err.message });
+    }
+
+    if (entry) {
+        const expired = entry.expiry_date && entry.expiry_date <= Math.floor(Date.now() / 1000);
+        return {
+            status: expired ? 'Expired' : entry.status,
+            expiryDate: entry.expiry_date ? new Date(entry.expiry_date * 1000).toISOString() : undefined,
+            parentIdTag: entry.parent_id_tag || undefined,
+            reason: 'local authorization list'
+        };
+    }
+
+    if (AUTO_CHARGE_ENABLED) {
+        return { status: 'Accepted', reason: 'auto charge enabled' };
+    }
+
+    return { status: 'Invalid', reason: 'unknown idTag, auto charge disabled' };
+}
+
+// Helper: Apply changed CSMS, route or mirror settings to connected chargers (all, or the given IDs)
+function applyCsmsConfigToChargers(chargePointIds) {
+    clients.forEach((connection, cpId) => {
+        if (!connection.applyCsmsConfig || (chargePointIds && !chargePointIds.includes(cpId))) return;
+        connection.applyCsmsConfig().catch(err => {
+            logger('ERROR', 'Failed to apply CSMS configuration', { chargePointId: cpId, error: err.message });
+        });
+    });
+}
+
+// Helper: Push a charger's current state to connected dashboards
+async function publishChargerState(cpId) {
+    try {
+        const charger = await db.getCharger(cpId);
+        if (charger) eventStream.publish('charger', chargerSnapshot(charger));
+    } catch (err) {
+        logger('WARNING', 'Failed to publish charger state', { chargePointId: cpId, error: err.message });
+    }
+}
+
 // Helper: Database message logging
 async function logMessage(cpId, direction, payload) {
+    // Track charging sessions from forwarded and proxy-answered traffic.
+    // Queued before any await so requests are always seen before their responses.
+    const recording = transactionRecorder.record(cpId, direction, payload).catch(err => {
+        logger('ERROR', 'Transaction tracking error', { chargePointId: cpId, error: err.message });
+    });
+
+    // Optional schema validation of charger and CSMS traffic (synchronous, for the same reason)
+    const connection = clients.get(cpId);
+    const violations = VALIDATE_TRAFFIC && connection
+        ? trafficValidator.inspect(cpId, connection.protocol, direction, payload)
+        : [];
+    metrics.recordMessage(cpId, direction, payload);
+
     try {
-        await db.logMessage(cpId, direction, payload);
+        const started = process.hrtime.bigint();
+        const entry = await db.logMessage(cpId, direction, payload);
+        metrics.observeDbLogDuration(Number(process.hrtime.bigint() - started) / 1e9);
+        const log = formatLog(entry);
+
+        if (violations.length > 0) {
+            logger('WARNING', 'OCPP schema violation', { chargePointId: cpId, direction, violations });
+            log.violations = violations;
+            await db.addProtocolViolations(cpId, entry.id, direction, violations);
+        }
+
+        eventStream.publish('log', log, entry.id);
 
         // Update charger status to ONLINE when we see activity
         if (direction === 'UPSTREAM' || direction === 'INJECTION_RESPONSE' || direction === 'PROXY_RESPONSE') {
@@ -922,6 +2986,8 @@ async function logMessage(cpId, direction, payload) {
     } catch (err) {
         logger('ERROR', 'Database logging error', { chargePointId: cpId, error: err.message });
     }
+
+    await recording;
 }
 
 // Helper function to detect Docker environment
@@ -953,6 +3019,24 @@ function isRunningInDocker() {
         logRetentionCount: process.env.LOG_RETENTION_COUNT || '1000',
         csmsReconnectMaxAttempts: CSMS_RECONNECT_MAX_ATTEMPTS,
         csmsReconnectBaseDelay: CSMS_RECONNECT_BASE_DELAY,
+        csmsReconnectMaxDelay: CSMS_RECONNECT_MAX_DELAY,
+        csmsConnectTimeout: CSMS_CONNECT_TIMEOUT,
+        csmsCircuitFailureThreshold: CSMS_CIRCUIT_FAILURE_THRESHOLD,
+        csmsCircuitResetTimeout: CSMS_CIRCUIT_RESET_TIMEOUT,
+        csmsReplayTimeout: CSMS_REPLAY_TIMEOUT,
+        chargerResponseTimeout: CHARGER_RESPONSE_TIMEOUT,
+        sessionIdleTimeoutMinutes: SESSION_IDLE_TIMEOUT_MINUTES,
+        sessionMaxAgeHours: SESSION_MAX_AGE_HOURS,
+        loginMaxFailures: LOGIN_MAX_FAILURES,
+        loginMaxFailuresPerIp: LOGIN_MAX_FAILURES_PER_IP,
+        loginLockoutMinutes: LOGIN_LOCKOUT_MINUTES,
+        trustProxy: TRUST_PROXY,
+        tlsEnabled: !!tlsOptions,
+        tlsPort: tlsOptions ? TLS_PORT : undefined,
+        tlsOnly: tlsOptions ? TLS_ONLY : undefined,
+        tlsClientCa: process.env.TLS_CA_FILE || 'not set',
+        csmsTlsCa: process.env.CSMS_TLS_CA_FILE || 'not set',
+        csmsTlsClientCert: process.env.CSMS_TLS_CERT_FILE || 'not set',
         // PostgreSQL settings (production mode)
         dbHost: process.env.DB_HOST || 'not set',
         dbPort: process.env.DB_PORT || '5432',
@@ -980,7 +3064,7 @@ function isRunningInDocker() {
                     password = crypto.randomBytes(16).toString('base64').slice(0, 16);
                     logger('WARNING', 'No INITIAL_ADMIN_PASSWORD set. Generated random password:', { password });
                 }
-                await db.addUser('admin', hashPassword(password));
+                await db.addUser('admin', await hashPassword(password));
                 logger('INFO', 'Default admin user created');
             }
         } catch (err) {
@@ -1003,14 +3087,25 @@ function isRunningInDocker() {
         logger('WARNING', 'Failed to run startup cleanup', { error: err.message });
     }
 
-    server.listen(PORT, () => {
-        logger('INFO', `OCPP Proxy started`, {
-            port: PORT,
-            debugMode: DEBUG,
-            targetCsmsUrl: TARGET_CSMS_URL,
-            csmsForwardingEnabled: CSMS_FORWARDING_ENABLED
+    if (!(tlsServer && TLS_ONLY)) {
+        server.listen(PORT, () => {
+            logger('INFO', `OCPP Proxy started`, {
+                port: PORT,
+                debugMode: DEBUG,
+                targetCsmsUrl: TARGET_CSMS_URL,
+                csmsForwardingEnabled: CSMS_FORWARDING_ENABLED
+            });
         });
-    });
+    }
+
+    if (tlsServer) {
+        tlsServer.listen(TLS_PORT, () => {
+            logger('INFO', `OCPP Proxy TLS listener started`, {
+                port: TLS_PORT,
+                clientCertificates: tlsOptions.ca ? (TLS_CLIENT_CERT_REQUIRED ? 'required' : 'optional') : 'off'
+            });
+        });
+    }
 })();
 
 // Graceful shutdown
@@ -0,0 +1,150 @@
+// Prometheus metrics - counters and histograms updated from the WebSocket handlers and logMessage(),
+// rendered together with live connection gauges in the text exposition format for GET /metrics
+const { createCallTracker } = require('./ocpp');
+const schemas = require('./schemas');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// CSMS connection states reported by csmsStatus(), one gauge series each
+const CSMS_STATES = ['STANDALONE', 'CONNECTED', 'CONNECTING', 'WAITING', 'CIRCUIT_OPEN', 'DISCONNECTED'];
+
+// Upper bounds (seconds) of the database logging latency buckets
+const DB_LATENCY_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function header(name, help, type) {
+    return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+// Counter with labels; series are created on first increment
+function createCounter(name, help) {
+    const series = new Map(); // formatted labels -> value
+
+    return {
+        inc(labels = {}, value = 1) {
+            const key = formatLabels(labels);
+            series.set(key, (series.get(key) || 0) + value);
+        },
+        render() {
+            const lines = header(name, help, 'counter');
+            series.forEach((value, labels) => lines.push(`${name}${labels} ${value}`));
+            return lines;
+        }
+    };
+}
+
+function createHistogram(name, help, buckets) {
+    const counts = buckets.map(() => 0);
+    let sum = 0;
+    let count = 0;
+
+    return {
+        observe(value) {
+            buckets.forEach((bound, i) => {
+                if (value <= bound) counts[i]++;
+            });
+            sum += value;
+            count++;
+        },
+        render() {
+            const lines = header(name, help, 'histogram');
+            buckets.forEach((bound, i) => lines.push(`${name}_bucket{le="${bound}"} ${counts[i]}`));
+            lines.push(`${name}_bucket{le="+Inf"} ${count}`, `${name}_sum ${sum}`, `${name}_count ${count}`);
+            return lines;
+        }
+    };
+}
+
+function createMetrics() {
+    // Actions of calls awaiting a response, so CallResults and CallErrors are counted under the action they answer
+    const pendingCalls = createCallTracker();
+
+    const messages = createCounter('ocpp_proxy_messages_total', 'OCPP messages logged, by direction and action');
+    const injections = createCounter('ocpp_proxy_injections_total', 'Answers to proxy-injected calls: success (CallResult), error (CallError) or timeout');
+    const standaloneResponses = createCounter('ocpp_proxy_standalone_responses_total', 'Charger requests answered by the proxy in place of the CSMS');
+    const reconnectAttempts = createCounter('ocpp_proxy_csms_reconnect_attempts_total', 'CSMS reconnection attempts by CSMS (scheme, host and port)');
+    const dbLogDuration = createHistogram('ocpp_proxy_db_log_duration_seconds', 'Time to write a message to the database log', DB_LATENCY_BUCKETS);
+
+    // The `action` label of a frame. Chargers and CSMSs choose action names freely, so names outside
+    // the OCPP schemas are counted as 'other' to keep the number of series bounded.
+    function actionOf(chargePointId, direction, frame) {
+        if (!Array.isArray(frame)) return 'unknown';
+        const action = frame[0] === 2
+            ? (typeof frame[2] === 'string' && schemas.isKnownAction(frame[2]) ? frame[2] : 'other')
+            : null;
+
+        // Mirror CSMS replies must not consume the calls the primary CSMS answers, so mirror
+        // traffic is labelled from the frame alone
+        if (direction.startsWith('MIRROR_')) return action || 'unknown';
+
+        if (action === null) return pendingCalls.take(chargePointId, direction, frame[1]) || 'unknown';
+        pendingCalls.remember(chargePointId, direction, frame[1], action);
+        return action;
+    }
+
+    // Count one logged frame (in the order frames are seen, see createCallTracker)
+    function recordMessage(chargePointId, direction, frame) {
+        const action = actionOf(chargePointId, direction, frame);
+
+        messages.inc({ direction, action });
+
+        if (direction === 'PROXY_RESPONSE') {
+            standaloneResponses.inc({ action });
+        } else if (direction === 'INJECTION_RESPONSE' && Array.isArray(frame)) {
+            injections.inc({ action, result: frame[0] === 4 ? 'error' : 'success' });
+        }
+    }
+
+    // An awaited injection got no answer within its timeout
+    function recordInjectionTimeout(action) {
+        injections.inc({ action: schemas.isKnownAction(action) ? action : 'other', result: 'timeout' });
+    }
+
+    function recordReconnectAttempt(csms) {
+        reconnectAttempts.inc({ csms });
+    }
+
+    function observeDbLogDuration(seconds) {
+        dbLogDuration.observe(seconds);
+    }
+
+    // Exposition text. `chargers` is the live state of connected chargers:
+    // [{ chargePointId, csmsState, bufferedMessages }]
+    function render({ chargers }) {
+        const lines = [
+            ...header('ocpp_proxy_connected_chargers', 'Chargers with an open WebSocket connection', 'gauge'),
+            `ocpp_proxy_connected_chargers ${chargers.length}`,
+            ...header('ocpp_proxy_csms_connection_state', 'CSMS connection state per connected charger (1 for the current state)', 'gauge')
+        ];
+        chargers.forEach(({ chargePointId, csmsState }) => {
+            CSMS_STATES.forEach(state => {
+                lines.push(`ocpp_proxy_csms_connection_state${formatLabels({ charge_point_id: chargePointId, state })} ${state === csmsState ? 1 : 0}`);
+            });
+        });
+        lines.push(...header('ocpp_proxy_csms_buffered_messages', 'Charger messages held in memory until the CSMS connection opens', 'gauge'));
+        chargers.forEach(({ chargePointId, bufferedMessages }) => {
+            lines.push(`ocpp_proxy_csms_buffered_messages${formatLabels({ charge_point_id: chargePointId })} ${bufferedMessages}`);
+        });
+
+        lines.push(
+            ...messages.render(),
+            ...injections.render(),
+            ...standaloneResponses.render(),
+            ...reconnectAttempts.render(),
+            ...dbLogDuration.render()
+        );
+        return lines.join('\n') + '\n';
+    }
+
+    return { recordMessage, recordInjectionTimeout, recordReconnectAttempt, observeDbLogDuration, render };
+}
+
+module.exports = { CONTENT_TYPE, createMetrics };
@@ -0,0 +1,240 @@
+// OCPP protocol helpers - subprotocol negotiation and version-specific payloads
+const crypto = require('crypto');
+
+const OCPP16 = 'ocpp1.6';
+const OCPP201 = 'ocpp2.0.1';
+
+// Subprotocols the proxy understands (used for standalone responses and injected payloads)
+const SUPPORTED_PROTOCOLS = [OCPP16, OCPP201];
+
+// Pick the subprotocol to accept from the list offered by the charger.
+// Honors the charger's order of preference among supported versions and falls back
+// to the first offered protocol so unknown dialects are still passed through.
+function selectProtocol(offered) {
+    const protocols = Array.from(offered || []);
+    if (protocols.length === 0) return false;
+
+    const supported = protocols.find(p => SUPPORTED_PROTOCOLS.includes(p));
+    return supported || protocols[0];
+}
+
+function isOcpp201(protocol) {
+    return protocol === OCPP201;
+}
+
+// Map OCPP 1.6 charging profile purposes to their 2.0.1 names
+const PROFILE_PURPOSES_201 = {
+    ChargePointMaxProfile: 'ChargingStationMaxProfile',
+    TxDefaultProfile: 'TxDefaultProfile',
+    TxProfile: 'TxProfile'
+};
+
+// Build a SetChargingProfile payload with a single absolute amp limit.
+// `purpose` uses the OCPP 1.6 names; they are translated for 2.0.1 connections.
+function buildSetChargingProfile(protocol, { profileId, purpose, limit, transactionId, evseId }) {
+    const chargingSchedulePeriod = [{ startPeriod: 0, limit: limit }];
+
+    if (isOcpp201(protocol)) {
+        const chargingProfile = {
+            id: profileId,
+            stackLevel: 1,
+            chargingProfilePurpose: PROFILE_PURPOSES_201[purpose],
+            chargingProfileKind: 'Absolute',
+            chargingSchedule: [{
+                id: profileId,
+                chargingRateUnit: 'A',
+                chargingSchedulePeriod
+            }]
+        };
+        if (transactionId !== undefined && transactionId !== null) {
+            chargingProfile.transactionId = String(transactionId);
+        }
+
+        // TxProfile must target the EVSE running the transaction; station-wide otherwise
+        const targetEvse = purpose === 'TxProfile' ? (parseInt(evseId) || 1) : 0;
+        return { evseId: targetEvse, chargingProfile };
+    }
+
+    const csChargingProfiles = {
+        chargingProfileId: profileId,
+        stackLevel: 1,
+        chargingProfilePurpose: purpose,
+        chargingProfileKind: 'Absolute',
+        chargingSchedule: {
+            chargingRateUnit: 'A',
+            chargingSchedulePeriod
+        }
+    };
+    if (transactionId !== undefined && transactionId !== null) {
+        csChargingProfiles.transactionId = transactionId;
+    }
+
+    return { connectorId: 0, csChargingProfiles };
+}
+
+// Build a remote start command for the given protocol.
+// Returns [action, payload].
+function buildRemoteStart(protocol, { connectorId, idTag }) {
+    if (isOcpp201(protocol)) {
+        return ['RequestStartTransaction', {
+            evseId: connectorId,
+            remoteStartId: crypto.randomInt(1, 2147483647),
+            idToken: { idToken: idTag, type: 'Central' }
+        }];
+    }
+
+    return ['RemoteStartTransaction', { connectorId, idTag }];
+}
+
+// Translate OCPP 1.6 injected commands into their 2.0.1 equivalents so the dashboard
+// and scripts can keep using the 1.6 vocabulary. Other actions pass through unchanged.
+function translateCall(protocol, action, payload) {
+    if (!isOcpp201(protocol) || !payload) return { action, payload };
+
+    if (action === 'RemoteStartTransaction') {
+        const [newAction, newPayload] = buildRemoteStart(protocol, {
+            connectorId: payload.connectorId || 1,
+            idTag: payload.idTag
+        });
+        return { action: newAction, payload: newPayload };
+    }
+
+    if (action === 'RemoteStopTransaction') {
+        return {
+            action: 'RequestStopTransaction',
+            payload: { transactionId: String(payload.transactionId) }
+        };
+    }
+
+    return { action, payload };
+}
+
+// Extract the idTag / idToken value carried by an Authorize or remote start payload
+function getIdTag(payload) {
+    if (!payload) return undefined;
+    if (payload.idTag !== undefined) return payload.idTag;
+    return payload.idToken?.idToken;
+}
+
+// Statuses an idTag can have in the local authorization list (valid in both 1.6 and 2.0.1)
+const AUTHORIZATION_STATUSES = ['Accepted', 'Blocked', 'Expired', 'Invalid', 'ConcurrentTx'];
+
+// Build the authorization info block used in Authorize/StartTransaction/TransactionEvent responses.
+// `details` may carry an ISO `expiryDate` and a `parentIdTag` from the local authorization list.
+function authorizationInfo(protocol, status, details = {}) {
+    const info = { status };
+
+    if (isOcpp201(protocol)) {
+        if (details.expiryDate) info.cacheExpiryDateTime = details.expiryDate;
+        if (details.parentIdTag) info.groupIdToken = { idToken: details.parentIdTag, type: 'Central' };
+        return { idTokenInfo: info };
+    }
+
+    if (details.expiryDate) info.expiryDate = details.expiryDate;
+    if (details.parentIdTag) info.parentIdTag = details.parentIdTag;
+    return { idTagInfo: info };
+}
+
+// Build a SendLocalList payload. `entries` are { idTag, status, expiryDate, parentIdTag };
+// entries without a status remove the tag from the charger's list (differential updates only).
+function buildSendLocalList(protocol, { version, updateType, entries }) {
+    if (isOcpp201(protocol)) {
+        return {
+            versionNumber: version,
+            updateType,
+            localAuthorizationList: entries.map(entry => {
+                const item = { idToken: { idToken: entry.idTag, type: 'Central' } };
+                if (entry.status) Object.assign(item, authorizationInfo(protocol, entry.status, entry));
+                return item;
+            })
+        };
+    }
+
+    return {
+        listVersion: version,
+        updateType,
+        localAuthorizationList: entries.map(entry => {
+            const item = { idTag: entry.idTag };
+            if (entry.status) Object.assign(item, authorizationInfo(protocol, entry.status, entry));
+            return item;
+        })
+    };
+}
+
+// Extract the list version from a GetLocalListVersion response
+function getLocalListVersion(payload) {
+    if (!payload) return undefined;
+    return payload.listVersion !== undefined ? payload.listVersion : payload.versionNumber;
+}
+
+// Side of the connection that sent a frame logged under each direction. Chargers and CSMSs pick
+// their own message IDs, so a charger call and a CSMS or proxy call may share one; calls are told
+// apart by the side that sent them. Mirror CSMS traffic is not tracked (its replies would consume
+// the calls the primary CSMS answers).
+const FRAME_SENDERS = {
+    UPSTREAM: 'charger',
+    INJECTION_RESPONSE: 'charger',
+    REPLAY_REQUEST: 'charger', // queued charger calls sent on to the CSMS
+    DOWNSTREAM: 'csms',
+    INJECTION_REQUEST: 'csms',
+    PROXY_RESPONSE: 'csms',
+    REPLAY_RESPONSE: 'csms'
+};
+
+// Remembers a value for each call awaiting its CallResult/CallError, keyed by charge point, the side
+// that sent the call and message ID, so the response can be matched to its call. Frames must be
+// passed in the order they are seen so calls are registered before their responses. Calls left
+// unanswered for `ttl` ms are forgotten; expired entries are pruned at most once per `ttl` instead
+// of with a timer per call.
+function createCallTracker({ ttl = 60000 } = {}) {
+    const pending = new Map(); // `${chargePointId}:${sender}:${messageId}` -> { value, at }
+    let lastPrune = Date.now();
+
+    function prune(now) {
+        if (now - lastPrune < ttl) return;
+        lastPrune = now;
+        pending.forEach((entry, key) => {
+            if (now - entry.at >= ttl) pending.delete(key);
+        });
+    }
+
+    // Remember a call logged under `direction`. Calls of untracked directions are ignored.
+    function remember(chargePointId, direction, messageId, value) {
+        const sender = FRAME_SENDERS[direction];
+        if (!sender) return;
+        const now = Date.now();
+        prune(now);
+        pending.set(`${chargePointId}:${sender}:${messageId}`, { value, at: now });
+    }
+
+    // The value remembered for the call a response logged under `direction` answers - a call sent by
+    // the other side (undefined if unknown, expired or untracked). Removes it.
+    function take(chargePointId, direction, messageId) {
+        const sender = FRAME_SENDERS[direction];
+        if (!sender) return undefined;
+        const key = `${chargePointId}:${sender === 'charger' ? 'csms' : 'charger'}:${messageId}`;
+        const entry = pending.get(key);
+        if (!entry) return undefined;
+        pending.delete(key);
+        return Date.now() - entry.at < ttl ? entry.value : undefined;
+    }
+
+    return { remember, take };
+}
+
+module.exports = {
+    OCPP16,
+    OCPP201,
+    SUPPORTED_PROTOCOLS,
+    selectProtocol,
+    isOcpp201,
+    buildSetChargingProfile,
+    buildRemoteStart,
+    translateCall,
+    getIdTag,
+    AUTHORIZATION_STATUSES,
+    authorizationInfo,
+    buildSendLocalList,
+    getLocalListVersion,
+    createCallTracker
+};
@@ -0,0 +1,51 @@
+// Password hashing shared by the server and the db/init.js CLI: salted scrypt hashes,
+// constant-time verification, and recognition of legacy unsalted SHA-256 hashes
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt cost parameters for new hashes. Stored with each hash, so they can be raised later:
+// hashes with other parameters still verify and are flagged by needsRehash().
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Hashes written before salted hashing: 64 hex characters of SHA-256
+const LEGACY_SHA256 = /^[0-9a-f]{64}$/;
+
+// Hash a password as `scrypt$N$r$p$salt$hash` (salt and hash base64)
+async function hashPassword(password) {
+    const { N, r, p } = SCRYPT_PARAMS;
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const hash = await scrypt(password, salt, KEY_LENGTH, { N, r, p });
+    return `scrypt$${N}$${r}$${p}$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+// Check a password against a stored hash (scrypt or legacy SHA-256). False for unknown formats.
+async function verifyPassword(password, storedHash) {
+    if (typeof password !== 'string' || !storedHash) return false;
+
+    if (LEGACY_SHA256.test(storedHash)) {
+        const hash = crypto.createHash('sha256').update(password).digest();
+        return crypto.timingSafeEqual(hash, Buffer.from(storedHash, 'hex'));
+    }
+
+    const parts = storedHash.split('$');
+    if (parts.length !== 6 || parts[0] !== 'scrypt') return false;
+
+    const [, N, r, p, salt, expectedBase64] = parts;
+    const expected = Buffer.from(expectedBase64, 'base64');
+    const hash = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+        N: parseInt(N), r: parseInt(r), p: parseInt(p)
+    });
+    return crypto.timingSafeEqual(hash, expected);
+}
+
+// True if a stored hash should be replaced after a successful login (legacy format or old parameters)
+function needsRehash(storedHash) {
+    const { N, r, p } = SCRYPT_PARAMS;
+    return !storedHash || !storedHash.startsWith(`scrypt$${N}$${r}$${p}$`);
+}
+
+module.exports = { hashPassword, verifyPassword, needsRehash };
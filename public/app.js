@@ -1,4 +1,4 @@
-// API client with Basic Auth
+// API client using the session token from POST /api/login
 const API = {
     getAuthHeaders() {
         const token = localStorage.getItem('authToken');
@@ -7,7 +7,7 @@ const API = {
             return {};
         }
         return {
-            'Authorization': `Basic ${token}`,
+            'Authorization': `Bearer ${token}`,
             'Content-Type': 'application/json'
         };
     },
@@ -33,10 +33,22 @@ const API = {
     },
 
     async post(endpoint, data) {
+        return this.send('POST', endpoint, data);
+    },
+
+    async put(endpoint, data) {
+        return this.send('PUT', endpoint, data);
+    },
+
+    async delete(endpoint) {
+        return this.send('DELETE', endpoint);
+    },
+
+    async send(method, endpoint, data) {
         const response = await fetch(endpoint, {
-            method: 'POST',
+            method,
             headers: this.getAuthHeaders(),
-            body: JSON.stringify(data)
+            body: data !== undefined ? JSON.stringify(data) : undefined
         });
 
         if (response.status === 401) {
@@ -51,6 +63,11 @@ const API = {
             // Try to parse error message from response
             try {
                 const errorData = await response.json();
+                // Schema validation failures list each violation
+                if (errorData.violations) {
+                    const details = errorData.violations.map(v => `${v.path} ${v.message}`).join('; ');
+                    throw new Error(`${errorData.error}: ${details}`);
+                }
                 throw new Error(errorData.error || `HTTP ${response.status}: ${response.statusText}`);
             } catch (e) {
                 // If JSON parsing fails, use status text
@@ -62,6 +79,54 @@ const API = {
         }
 
         return response.json();
+    },
+
+    // Read a Server-Sent Events stream. Uses fetch instead of EventSource so the
+    // Authorization header can be sent. Resolves when the server closes the stream.
+    async stream(endpoint, { lastEventId, onEvent }) {
+        const headers = this.getAuthHeaders();
+        if (lastEventId) headers['Last-Event-ID'] = String(lastEventId);
+
+        const response = await fetch(endpoint, { headers });
+
+        if (response.status === 401) {
+            localStorage.removeItem('authToken');
+            localStorage.removeItem('username');
+            window.location.href = 'login.html';
+            throw new Error('Unauthorized');
+        }
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const block = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                const event = { type: 'message', id: null, data: '' };
+                block.split('\n').forEach(line => {
+                    if (line.startsWith('event: ')) event.type = line.slice(7);
+                    else if (line.startsWith('id: ')) event.id = line.slice(4);
+                    else if (line.startsWith('data: ')) event.data += line.slice(6);
+                });
+
+                // Comment-only blocks (heartbeats) have no data
+                if (event.data) onEvent(event.type, JSON.parse(event.data), event.id);
+            }
+        }
     }
 };
 
@@ -76,8 +141,9 @@ let configurationData = {}; // Store configuration data per charger
 let proxyConfig = {}; // Store proxy configuration
 let chargersData = {}; // Store full charger data from API (including connection metadata)
 let lastFilterState = { charger: '', direction: '', messageType: '', dateFrom: '', dateTo: '' }; // Track filter changes
-let pollingInterval = null;
-let lastLogTimestamp = 0; // Track last log timestamp for incremental updates
+let lastLogId = 0; // Highest log ID received, for catch-up after reconnects or pauses
+let streamRetryDelay = 1000; // ms before reconnecting the live feed, doubles up to 30s
+let chargerListRenderPending = false;
 let lastStatusUpdateTime = {}; // Track last status update time per charger for auto-refresh
 
 // Initialize the app
@@ -99,7 +165,19 @@ function initApp() {
 
     // Initialize UI
     setupEventListeners();
-    startPolling();
+    startLiveUpdates();
+    loadCurrentUserRole();
+}
+
+// Hide controls the user's role may not use (the API enforces the same rules)
+async function loadCurrentUserRole() {
+    try {
+        const me = await API.get('/api/me');
+        currentUser = { ...currentUser, role: me.role, chargerScope: me.chargerScope };
+        document.body.classList.add(`role-${me.role}`);
+    } catch (error) {
+        console.error('Error loading user role:', error);
+    }
 }
 
 // Update user info in header
@@ -115,6 +193,12 @@ function updateUserInfo(user) {
                     </svg>
                 </button>
                 <div id="userDropdown" class="user-dropdown">
+                    <button id="manageUsersMenuBtn" class="dropdown-item requires-admin">
+                        <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" style="width: 16px; height: 16px;">
+                            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z"/>
+                        </svg>
+                        Manage Users
+                    </button>
                     <button id="changePasswordMenuBtn" class="dropdown-item">
                         <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor" style="width: 16px; height: 16px;">
                             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 7a2 2 0 012 2m4 0a6 6 0 01-7.743 5.743L11 17H9v2H7v2H4a1 1 0 01-1-1v-2.586a1 1 0 01.293-.707l5.964-5.964A6 6 0 1121 9z"/>
@@ -129,7 +213,7 @@ function updateUserInfo(user) {
                     </button>
                 </div>
             </div>
-            <button id="configIconBtn" class="config-icon-btn" title="Proxy Configuration">
+            <button id="configIconBtn" class="config-icon-btn requires-admin" title="Proxy Configuration">
                 <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"/>
                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"/>
@@ -167,6 +251,12 @@ function updateUserInfo(user) {
         }
     });
 
+    // Add user management handler
+    document.getElementById('manageUsersMenuBtn').addEventListener('click', () => {
+        userDropdown.classList.remove('show');
+        openUsersModal();
+    });
+
     // Add change password handler
     document.getElementById('changePasswordMenuBtn').addEventListener('click', () => {
         userDropdown.classList.remove('show');
@@ -176,6 +266,8 @@ function updateUserInfo(user) {
     // Add logout handler
     document.getElementById('logoutMenuBtn').addEventListener('click', async () => {
         try {
+            // Revoke the session on the server; sign out locally even if that fails
+            await API.post('/api/logout').catch(error => console.error('Logout request failed:', error));
             localStorage.removeItem('authToken');
             localStorage.removeItem('username');
             window.location.href = 'login.html';
@@ -225,6 +317,10 @@ function setupEventListeners() {
     document.getElementById('timeRangeFilter').addEventListener('change', handleTimeRangeChange);
     document.getElementById('dateFrom').addEventListener('change', filterLogs);
     document.getElementById('dateTo').addEventListener('change', filterLogs);
+    document.getElementById('autorefresh').addEventListener('change', (e) => {
+        // Catch up on messages skipped while auto-refresh was off
+        if (e.target.checked) fetchLogs();
+    });
 
     // Clear filters button
     document.getElementById('clearFilters').addEventListener('click', () => {
@@ -354,11 +450,20 @@ function setupEventListeners() {
     // Proxy configuration (in modal)
     document.getElementById('saveConfigBtn').addEventListener('click', saveProxyConfig);
     document.getElementById('reloadConfigBtn').addEventListener('click', loadProxyConfig);
+    document.getElementById('addCsmsRouteBtn').addEventListener('click', addCsmsRoute);
 
     // Password change modal
     document.getElementById('changePasswordBtn').addEventListener('click', changePassword);
     document.getElementById('closePasswordModal').addEventListener('click', closePasswordModal);
 
+    // Audit log tab
+    document.getElementById('refreshAudit').addEventListener('click', loadAuditLog);
+    document.getElementById('auditMethodFilter').addEventListener('change', loadAuditLog);
+
+    // User management modal
+    document.getElementById('addUserBtn').addEventListener('click', addUser);
+    document.getElementById('closeUsersModal').addEventListener('click', closeUsersModal);
+
     // Modal controls
     document.getElementById('closeConfigModal').addEventListener('click', closeConfigModal);
 
@@ -375,11 +480,18 @@ function setupEventListeners() {
         }
     });
 
+    document.getElementById('usersModal').addEventListener('click', (e) => {
+        if (e.target.id === 'usersModal') {
+            closeUsersModal();
+        }
+    });
+
     // Close modals on Escape key
     document.addEventListener('keydown', (e) => {
         if (e.key === 'Escape') {
             closeConfigModal();
             closePasswordModal();
+            closeUsersModal();
         }
     });
 }
@@ -389,9 +501,9 @@ function updateMessageLimit() {
     const newLimit = parseInt(document.getElementById('messageLimitFilter').value, 10);
     if (newLimit !== messageLimit) {
         messageLimit = newLimit;
-        // Clear logs and reset timestamp to fetch fresh data
+        // Clear logs and reset the last ID to fetch fresh data
         displayedLogs = [];
-        lastLogTimestamp = 0;
+        lastLogId = 0;
         document.getElementById('logsContainer').innerHTML = '';
         fetchLogs();
     }
@@ -440,23 +552,134 @@ function switchTab(tabName) {
     document.querySelectorAll('.tab-content').forEach(content => {
         content.classList.toggle('active', content.id === `${tabName}-tab`);
     });
+
+    if (tabName === 'audit') {
+        loadAuditLog();
+    }
 }
 
-// Start polling for updates
-function startPolling() {
-    // Initial fetch
-    fetchChargers();
-    fetchLogs();
+// Load the audit trail of API changes (admins only)
+async function loadAuditLog() {
+    const displayEl = document.getElementById('auditDisplay');
+    const params = new URLSearchParams({ limit: '200' });
+    const username = document.getElementById('auditUserFilter').value.trim();
+    const chargePointId = document.getElementById('auditChargerFilter').value.trim();
+    const method = document.getElementById('auditMethodFilter').value;
+    if (username) params.set('username', username);
+    if (chargePointId) params.set('chargePointId', chargePointId);
+    if (method) params.set('method', method);
+
+    try {
+        const entries = await API.get(`/api/audit?${params}`);
+
+        if (entries.length === 0) {
+            displayEl.innerHTML = '<p style="color: var(--text-secondary); text-align: center; margin-top: 2rem;">No audit entries</p>';
+            return;
+        }
+
+        let html = '<table class="config-table">';
+        html += '<thead><tr><th>Time</th><th>User</th><th>Action</th><th>Charger</th><th>Result</th><th>Request</th></tr></thead><tbody>';
+        entries.forEach(entry => {
+            const ok = entry.statusCode >= 200 && entry.statusCode < 300;
+            const body = entry.requestBody ? JSON.stringify(entry.requestBody) : '';
+            html += '<tr>';
+            html += `<td style="white-space: nowrap;">${formatTimestamp(entry.timestamp * 1000)}</td>`;
+            html += `<td>${escapeHtml(entry.username || '-')}<br><small style="color: var(--text-secondary);">${escapeHtml(entry.remoteAddress || '')}</small></td>`;
+            html += `<td><strong>${escapeHtml(entry.method)}</strong> ${escapeHtml(entry.path)}</td>`;
+            html += `<td>${escapeHtml(entry.chargePointId || '-')}</td>`;
+            html += `<td><span class="status-badge ${ok ? 'status-available' : 'status-faulted'}">${entry.statusCode}</span>${entry.error ? `<br><small>${escapeHtml(entry.error)}</small>` : ''}</td>`;
+            html += `<td><code style="word-break: break-all; font-size: 0.75rem;">${escapeHtml(body.length > 300 ? body.slice(0, 300) + '…' : body)}</code></td>`;
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        displayEl.innerHTML = html;
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        displayEl.innerHTML = `<p style="color: var(--danger);">Failed to load audit log: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+// Load initial data and subscribe to the live feed
+async function startLiveUpdates() {
     loadProxyConfig();
+    await Promise.all([fetchChargers(), fetchLogs()]);
+    connectStream();
+}
 
-    // Poll every 5 seconds
-    pollingInterval = setInterval(() => {
-        const autorefresh = document.getElementById('autorefresh').checked;
-        fetchChargers();
-        if (autorefresh) {
-            fetchLogs();
+// Subscribe to /api/stream and reconnect with backoff when it drops.
+// The server replays logs newer than lastLogId on reconnect.
+async function connectStream() {
+    try {
+        await API.stream('/api/stream', {
+            lastEventId: lastLogId,
+            onEvent: handleStreamEvent
+        });
+    } catch (error) {
+        if (error.message === 'Unauthorized') return;
+        console.error('Live feed error:', error);
+    }
+
+    setTimeout(connectStream, streamRetryDelay);
+    streamRetryDelay = Math.min(streamRetryDelay * 2, 30000);
+}
+
+function handleStreamEvent(type, data) {
+    // Connected and receiving - reset backoff
+    streamRetryDelay = 1000;
+
+    if (type === 'charger') {
+        chargersData[data.charge_point_id] = data;
+        scheduleChargerListRender();
+    } else if (type === 'reset') {
+        // Missed too many logs while disconnected to catch up one by one - reload the latest instead
+        displayedLogs = [];
+        lastLogId = 0;
+        document.getElementById('logsContainer').innerHTML = '';
+        fetchLogs();
+    } else if (type === 'log') {
+        // Keep the charger's last seen time current without re-fetching
+        if (chargersData[data.charge_point_id]) {
+            chargersData[data.charge_point_id].last_seen = data.timestamp;
+            scheduleChargerListRender();
         }
-    }, 5000);
+
+        // While auto-refresh is off, new logs are skipped and fetched when it is switched back on
+        if (!document.getElementById('autorefresh').checked) return;
+
+        if (data.id > lastLogId) lastLogId = data.id;
+        if (!displayedLogs.some(l => l.id === data.id)) {
+            addLogEntry({ ...data, timestamp: (data.timestamp || 0) * 1000 });
+            messageCount++;
+            document.getElementById('messageCount').textContent = messageCount;
+            filterLogs();
+        }
+    }
+}
+
+// CSMS connection state line for an online charger (omitted when connected or in standalone mode)
+function formatCsmsState(csms) {
+    if (!csms || csms.state === 'CONNECTED' || csms.state === 'STANDALONE') return '';
+
+    const labels = {
+        CONNECTING: 'connecting',
+        WAITING: 'reconnecting',
+        CIRCUIT_OPEN: 'circuit open',
+        DISCONNECTED: 'disconnected'
+    };
+    let text = `CSMS ${labels[csms.state] || csms.state.toLowerCase()}`;
+    if (csms.attempt) text += ` (attempt ${csms.attempt})`;
+
+    return `<div class="charger-csms" title="${escapeHtml(csms.lastError || '')}">${escapeHtml(text)}</div>`;
+}
+
+// Re-render the chargers list at most once per second for bursts of events
+function scheduleChargerListRender() {
+    if (chargerListRenderPending) return;
+    chargerListRenderPending = true;
+    setTimeout(() => {
+        chargerListRenderPending = false;
+        updateChargersList(Object.values(chargersData));
+    }, 1000);
 }
 
 // Fetch chargers from API
@@ -476,9 +699,8 @@ async function fetchLogs() {
         const params = new URLSearchParams();
         params.append('limit', messageLimit.toString());
 
-        if (lastLogTimestamp > 0) {
-            // Convert back to seconds for the API call
-            params.append('since', Math.floor(lastLogTimestamp / 1000).toString());
+        if (lastLogId > 0) {
+            params.append('afterId', lastLogId.toString());
         }
 
         const logs = await API.get(`/api/logs?${params}`);
@@ -489,9 +711,8 @@ async function fetchLogs() {
                 // Convert timestamp from seconds to milliseconds
                 const timestampMs = (log.timestamp || 0) * 1000;
 
-                // Update last timestamp
-                if (timestampMs > lastLogTimestamp) {
-                    lastLogTimestamp = timestampMs;
+                if (log.id > lastLogId) {
+                    lastLogId = log.id;
                 }
 
                 // Check if log already exists
@@ -533,7 +754,8 @@ function updateChargersList(chargers) {
             id: charger.charge_point_id,
             lastSeen: lastSeenTimestamp,
             status: apiStatus,
-            isStale: isStale
+            isStale: isStale,
+            csms: charger.csms || null
         };
     });
 
@@ -579,6 +801,7 @@ function updateChargersList(chargers) {
         item.innerHTML = `
             <span class="charger-name">${charger.id}</span>
             <div class="charger-status">${formatTimestamp(charger.lastSeen)}</div>
+            ${formatCsmsState(charger.csms)}
         `;
         item.addEventListener('click', () => {
             selectCharger(charger.id);
@@ -865,15 +1088,26 @@ function createLogElement(log) {
         }
     }
 
+    // Flag messages that failed OCPP schema validation
+    const violations = log.violations || [];
+    let violationsHtml = '';
+    if (violations.length > 0) {
+        div.classList.add('has-violations');
+        violationsHtml = `<ul class="log-violations">${violations.map(v =>
+            `<li>${escapeHtml(v.path)}: ${escapeHtml(v.message)}</li>`).join('')}</ul>`;
+    }
+
     div.innerHTML = `
         <div class="log-header">
             <span class="log-direction ${log.direction}">${log.direction}</span>
+            ${violations.length > 0 ? `<span class="log-violation-badge" title="Fails OCPP schema validation">${violations.length} schema violation${violations.length > 1 ? 's' : ''}</span>` : ''}
             <div class="log-meta">
                 <span class="log-charger">${log.charge_point_id}</span>
                 <span>${action}</span>
                 <span>${timestamp}</span>
             </div>
         </div>
+        ${violationsHtml}
         <div class="log-payload collapsed">${escapeHtml(payload)}</div>
     `;
 
@@ -927,7 +1161,9 @@ async function injectCommand() {
 
     // Send command
     try {
-        const result = await API.post(`/api/inject/${charger}`, { action, payload });
+        const skipValidation = document.getElementById('skipValidation').checked;
+        const query = skipValidation ? '?validate=false' : '';
+        const result = await API.post(`/api/inject/${charger}${query}`, { action, payload });
         showInjectResult('Command sent successfully! Message ID: ' + result.messageId, true);
 
         // Switch to logs tab to see the response
@@ -1022,10 +1258,11 @@ function formatLogTimestamp(timestamp) {
     return date.toLocaleString();
 }
 
+// Escape text for HTML content and double- or single-quoted attribute values
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
 }
 
 function showError(message) {
@@ -1084,13 +1321,15 @@ function updateChargerStatusData(log) {
 
             // BootNotification
             if (action === 'BootNotification' && payload) {
+                // OCPP 2.0.1 nests station details under chargingStation
+                const station = payload.chargingStation || {};
                 data.bootInfo = {
-                    chargePointVendor: payload.chargePointVendor,
-                    chargePointModel: payload.chargePointModel,
-                    chargePointSerialNumber: payload.chargePointSerialNumber,
-                    firmwareVersion: payload.firmwareVersion,
-                    iccid: payload.iccid,
-                    imsi: payload.imsi,
+                    chargePointVendor: payload.chargePointVendor || station.vendorName,
+                    chargePointModel: payload.chargePointModel || station.model,
+                    chargePointSerialNumber: payload.chargePointSerialNumber || station.serialNumber,
+                    firmwareVersion: payload.firmwareVersion || station.firmwareVersion,
+                    iccid: payload.iccid || station.modem?.iccid,
+                    imsi: payload.imsi || station.modem?.imsi,
                     meterType: payload.meterType,
                     meterSerialNumber: payload.meterSerialNumber,
                     timestamp: messageTimestamp
@@ -1100,13 +1339,13 @@ function updateChargerStatusData(log) {
 
             // StatusNotification
             if (action === 'StatusNotification' && payload) {
-                const connectorId = payload.connectorId || 0;
+                const connectorId = payload.evseId || payload.connectorId || 0; // OCPP 2.0.1 reports per EVSE
 
                 // Only update if this is newer data or no existing data
                 const existing = data.connectors[connectorId];
                 if (!existing || !existing.timestamp || messageTimestamp >= existing.timestamp) {
                     data.connectors[connectorId] = {
-                        status: payload.status,
+                        status: payload.status || payload.connectorStatus, // OCPP 2.0.1 uses connectorStatus
                         errorCode: payload.errorCode,
                         info: payload.info,
                         vendorId: payload.vendorId,
@@ -1339,7 +1578,7 @@ function displayChargerStatus(chargerId) {
     html += '<h3>Overview</h3>';
     html += '<div class="status-section-content">';
     html += '<div style="display: flex; justify-content: flex-end; margin-bottom: 1rem;">';
-    html += `<button class="btn btn-secondary refresh-connector-status" data-charger-id="${chargerId}">Get Connector Status</button>`;
+    html += `<button class="btn btn-secondary refresh-connector-status requires-operator" data-charger-id="${chargerId}">Get Connector Status</button>`;
     html += '</div>';
     html += '<div class="status-grid">';
     html += `<div class="status-item"><strong>Charger ID:</strong> ${chargerId}</div>`;
@@ -1400,8 +1639,8 @@ function displayChargerStatus(chargerId) {
             html += `<div style="display: flex; justify-content: space-between; align-items: center;">`;
             html += `<h4>Connector ${connectorId}</h4>`;
             html += `<div style="display: flex; gap: 0.5rem;">`;
-            html += `<button class="btn btn-primary btn-sm start-charge" data-charger-id="${chargerId}" data-connector-id="${connectorId}" ${isCharging ? 'disabled' : ''}>Start Charge</button>`;
-            html += `<button class="btn btn-secondary btn-sm stop-charge" data-charger-id="${chargerId}" data-connector-id="${connectorId}" ${!isCharging ? 'disabled' : ''}>Stop Charge</button>`;
+            html += `<button class="btn btn-primary btn-sm start-charge requires-operator" data-charger-id="${chargerId}" data-connector-id="${connectorId}" ${isCharging ? 'disabled' : ''}>Start Charge</button>`;
+            html += `<button class="btn btn-secondary btn-sm stop-charge requires-operator" data-charger-id="${chargerId}" data-connector-id="${connectorId}" ${!isCharging ? 'disabled' : ''}>Stop Charge</button>`;
             html += `</div>`;
             html += `</div>`;
             html += '<div class="status-grid">';
@@ -1422,7 +1661,7 @@ function displayChargerStatus(chargerId) {
     // Smart Charging Control
     const maxPowerVal = data.maxPower !== undefined && data.maxPower !== null ? data.maxPower : '';
 
-    html += '<div class="status-section">';
+    html += '<div class="status-section requires-operator">';
     html += '<h3>Smart Charging</h3>';
     html += '<div class="status-section-content">';
 
@@ -1524,7 +1763,7 @@ function displayChargerStatus(chargerId) {
     html += '<h3>OCPP Configuration</h3>';
     html += '<div class="status-section-content">';
     html += '<div style="display: flex; justify-content: flex-end; margin-bottom: 1rem;">';
-    html += '<button id="refreshConfiguration" class="btn btn-secondary">Refresh Configuration</button>';
+    html += '<button id="refreshConfiguration" class="btn btn-secondary requires-operator">Refresh Configuration</button>';
     html += '</div>';
 
     if (configData && configData.configurationKey && configData.configurationKey.length > 0) {
@@ -1544,7 +1783,7 @@ function displayChargerStatus(chargerId) {
 
             // Add edit icon for non-readonly items
             if (!item.readonly) {
-                html += ` <button class="edit-config-icon" data-charger-id="${chargerId}" data-config-key="${escapeHtml(item.key)}" data-config-value="${escapeHtml(rawValue)}" title="Edit configuration">
+                html += ` <button class="edit-config-icon requires-operator" data-charger-id="${chargerId}" data-config-key="${escapeHtml(item.key)}" data-config-value="${escapeHtml(rawValue)}" title="Edit configuration">
                     <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" width="14" height="14">
                         <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z"/>
                     </svg>
@@ -1776,19 +2015,34 @@ async function loadProxyConfig() {
         // Parse csmsForwardingEnabled (handle both boolean and string values)
         const forwardingEnabled = config.csmsForwardingEnabled === true || config.csmsForwardingEnabled === 'true';
         const autoChargeEnabled = config.autoChargeEnabled === true || config.autoChargeEnabled === 'true';
+        const validateTraffic = config.validateTraffic === true || config.validateTraffic === 'true';
+        const chargerAuthRequired = config.chargerAuthRequired === true || config.chargerAuthRequired === 'true';
+        const chargerAllowListEnabled = config.chargerAllowListEnabled === true || config.chargerAllowListEnabled === 'true';
 
         // Update form fields
         document.getElementById('targetCsmsUrl').value = config.targetCsmsUrl || '';
+        document.getElementById('mirrorCsmsUrl').value = config.mirrorCsmsUrl || '';
+        document.getElementById('csmsTlsInsecureHosts').value = (config.csmsTlsInsecureHosts || '').split(',').join(', ');
         document.getElementById('csmsForwardingEnabled').checked = forwardingEnabled;
         document.getElementById('autoChargeEnabled').checked = autoChargeEnabled;
         document.getElementById('defaultIdTag').value = config.defaultIdTag || 'ADMIN_TAG';
+        document.getElementById('validateTraffic').checked = validateTraffic;
+        document.getElementById('chargerAuthRequired').checked = chargerAuthRequired;
+        document.getElementById('chargerAllowListEnabled').checked = chargerAllowListEnabled;
 
         // Display current config
         let html = '<div class="status-grid">';
         html += `<div class="status-item"><strong>Target CSMS URL:</strong> ${escapeHtml(config.targetCsmsUrl || 'Not set')}</div>`;
+        html += `<div class="status-item"><strong>Mirror CSMS URL:</strong> ${escapeHtml(config.mirrorCsmsUrl || 'Disabled')}</div>`;
+        if (config.csmsTlsInsecureHosts) {
+            html += `<div class="status-item"><strong>TLS Verification Skipped:</strong> <span class="status-badge status-faulted">${escapeHtml(config.csmsTlsInsecureHosts)}</span></div>`;
+        }
         html += `<div class="status-item"><strong>CSMS Forwarding:</strong> <span class="status-badge ${forwardingEnabled ? 'status-available' : 'status-faulted'}">${forwardingEnabled ? 'Enabled' : 'Disabled'}</span></div>`;
         html += `<div class="status-item"><strong>Auto Charging:</strong> <span class="status-badge ${autoChargeEnabled ? 'status-available' : 'status-faulted'}">${autoChargeEnabled ? 'Enabled' : 'Disabled'}</span></div>`;
         html += `<div class="status-item"><strong>Default ID Tag:</strong> ${escapeHtml(config.defaultIdTag || 'ADMIN_TAG')}</div>`;
+        html += `<div class="status-item"><strong>Schema Validation:</strong> <span class="status-badge ${validateTraffic ? 'status-available' : 'status-faulted'}">${validateTraffic ? 'Enabled' : 'Disabled'}</span></div>`;
+        html += `<div class="status-item"><strong>Charger Authentication:</strong> <span class="status-badge ${chargerAuthRequired ? 'status-available' : 'status-faulted'}">${chargerAuthRequired ? 'Required' : 'Off'}</span></div>`;
+        html += `<div class="status-item"><strong>Charger Allow-List:</strong> <span class="status-badge ${chargerAllowListEnabled ? 'status-available' : 'status-faulted'}">${chargerAllowListEnabled ? 'Enforced' : 'Off'}</span></div>`;
         html += '</div>';
 
         displayEl.innerHTML = html;
@@ -1801,9 +2055,15 @@ async function loadProxyConfig() {
 // Save proxy configuration to API
 async function saveProxyConfig() {
     const targetCsmsUrl = document.getElementById('targetCsmsUrl').value.trim();
+    const mirrorCsmsUrl = document.getElementById('mirrorCsmsUrl').value.trim();
+    const csmsTlsInsecureHosts = document.getElementById('csmsTlsInsecureHosts').value
+        .split(',').map(host => host.trim()).filter(Boolean);
     const csmsForwardingEnabled = document.getElementById('csmsForwardingEnabled').checked;
     const autoChargeEnabled = document.getElementById('autoChargeEnabled').checked;
     const defaultIdTag = document.getElementById('defaultIdTag').value.trim();
+    const validateTraffic = document.getElementById('validateTraffic').checked;
+    const chargerAuthRequired = document.getElementById('chargerAuthRequired').checked;
+    const chargerAllowListEnabled = document.getElementById('chargerAllowListEnabled').checked;
 
     // Validate URL
     if (!targetCsmsUrl) {
@@ -1816,6 +2076,11 @@ async function saveProxyConfig() {
         return;
     }
 
+    if (mirrorCsmsUrl && !mirrorCsmsUrl.startsWith('ws://') && !mirrorCsmsUrl.startsWith('wss://')) {
+        showConfigResult('Mirror URL must start with ws:// or wss://', false);
+        return;
+    }
+
     // Validate default ID tag
     if (!defaultIdTag) {
         showConfigResult('Please enter a default ID tag', false);
@@ -1825,9 +2090,14 @@ async function saveProxyConfig() {
     try {
         await API.post('/api/config', {
             targetCsmsUrl: targetCsmsUrl,
+            mirrorCsmsUrl: mirrorCsmsUrl,
+            csmsTlsInsecureHosts: csmsTlsInsecureHosts,
             csmsForwardingEnabled: csmsForwardingEnabled,
             autoChargeEnabled: autoChargeEnabled,
-            defaultIdTag: defaultIdTag
+            defaultIdTag: defaultIdTag,
+            validateTraffic: validateTraffic,
+            chargerAuthRequired: chargerAuthRequired,
+            chargerAllowListEnabled: chargerAllowListEnabled
         });
 
         showConfigResult('Configuration saved successfully!', true);
@@ -1859,6 +2129,90 @@ function openConfigModal() {
     modal.classList.add('show');
     // Load current config when opening
     loadProxyConfig();
+    loadCsmsRoutes();
+}
+
+// Load per-charger/group/pattern CSMS routes into the config modal
+async function loadCsmsRoutes() {
+    const listEl = document.getElementById('csmsRoutesList');
+
+    try {
+        const routes = await API.get('/api/csms-routes');
+
+        if (routes.length === 0) {
+            listEl.innerHTML = '<p style="color: var(--text-secondary);">No routes - all chargers use the target CSMS URL above.</p>';
+            return;
+        }
+
+        let html = '<table class="config-table">';
+        html += '<thead><tr><th>Match</th><th>Target</th><th>Protocol</th><th>Auth</th><th></th></tr></thead><tbody>';
+        routes.forEach(route => {
+            const auth = route.hasPassword ? escapeHtml(route.username || '(charger ID)') : '-';
+            html += `<tr${route.enabled ? '' : ' style="opacity: 0.5;"'}>`;
+            html += `<td>${escapeHtml(route.matchType)}: ${escapeHtml(route.matchValue)}${route.matchType === 'PATTERN' ? ` (${route.priority})` : ''}</td>`;
+            html += `<td>${escapeHtml(route.targetUrl)}</td>`;
+            html += `<td>${escapeHtml(route.protocol || 'charger')}</td>`;
+            html += `<td>${auth}</td>`;
+            html += `<td style="white-space: nowrap;">`;
+            html += `<button class="btn btn-secondary btn-sm" data-route-toggle="${escapeHtml(String(route.id))}" data-enabled="${route.enabled ? 'true' : 'false'}">${route.enabled ? 'Disable' : 'Enable'}</button> `;
+            html += `<button class="btn btn-secondary btn-sm" data-route-delete="${escapeHtml(String(route.id))}">Delete</button>`;
+            html += '</td></tr>';
+        });
+        html += '</tbody></table>';
+        listEl.innerHTML = html;
+
+        listEl.querySelectorAll('[data-route-toggle]').forEach(btn => {
+            btn.addEventListener('click', () => toggleCsmsRoute(btn.dataset.routeToggle, btn.dataset.enabled !== 'true'));
+        });
+        listEl.querySelectorAll('[data-route-delete]').forEach(btn => {
+            btn.addEventListener('click', () => deleteCsmsRoute(btn.dataset.routeDelete));
+        });
+    } catch (error) {
+        console.error('Error loading CSMS routes:', error);
+        listEl.innerHTML = `<p style="color: var(--danger);">Failed to load routes: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function addCsmsRoute() {
+    const route = {
+        matchType: document.getElementById('routeMatchType').value,
+        matchValue: document.getElementById('routeMatchValue').value.trim(),
+        targetUrl: document.getElementById('routeTargetUrl').value.trim(),
+        protocol: document.getElementById('routeProtocol').value.trim() || null,
+        username: document.getElementById('routeUsername').value.trim() || null,
+        password: document.getElementById('routePassword').value || null,
+        priority: parseInt(document.getElementById('routePriority').value, 10) || 0
+    };
+
+    try {
+        await API.post('/api/csms-routes', route);
+        showConfigResult('CSMS route added (applies to the next CSMS connection)', true);
+        ['routeMatchValue', 'routeTargetUrl', 'routeProtocol', 'routeUsername', 'routePassword', 'routePriority']
+            .forEach(id => { document.getElementById(id).value = ''; });
+        loadCsmsRoutes();
+    } catch (error) {
+        showConfigResult('Failed to add CSMS route: ' + error.message, false);
+    }
+}
+
+async function toggleCsmsRoute(id, enabled) {
+    try {
+        await API.put(`/api/csms-routes/${id}`, { enabled });
+        loadCsmsRoutes();
+    } catch (error) {
+        showConfigResult('Failed to update CSMS route: ' + error.message, false);
+    }
+}
+
+async function deleteCsmsRoute(id) {
+    if (!confirm('Delete this CSMS route?')) return;
+
+    try {
+        await API.delete(`/api/csms-routes/${id}`);
+        loadCsmsRoutes();
+    } catch (error) {
+        showConfigResult('Failed to delete CSMS route: ' + error.message, false);
+    }
 }
 
 // Close config modal
@@ -1942,6 +2296,189 @@ function showPasswordResult(message, success) {
     }, 5000);
 }
 
+// Open user management modal
+function openUsersModal() {
+    document.getElementById('usersModal').classList.add('show');
+    loadUsers();
+}
+
+// Close user management modal
+function closeUsersModal() {
+    document.getElementById('usersModal').classList.remove('show');
+    document.getElementById('usersResult').className = 'config-result';
+    document.getElementById('newUserPassword').value = '';
+}
+
+// Parse a comma-separated charger scope input (empty = all chargers)
+function parseScopeInput(value) {
+    const ids = value.split(',').map(id => id.trim()).filter(Boolean);
+    return ids.length > 0 ? ids : null;
+}
+
+// Load users into the user management modal
+async function loadUsers() {
+    const listEl = document.getElementById('usersList');
+
+    try {
+        const users = await API.get('/api/users');
+
+        let html = '<table class="config-table">';
+        html += '<thead><tr><th>User</th><th>Role</th><th>Chargers</th><th>Status</th><th></th></tr></thead><tbody>';
+        users.forEach(user => {
+            // Usernames are only restricted server-side to not contain ':'; escape them for attributes too
+            const name = escapeHtml(user.username);
+            html += `<tr${user.disabled ? ' style="opacity: 0.5;"' : ''}>`;
+            html += `<td>${name}${currentUser && user.username === currentUser.username ? ' (you)' : ''}</td>`;
+            html += `<td><select data-user-role="${name}">`;
+            ['viewer', 'operator', 'admin'].forEach(role => {
+                html += `<option value="${role}"${user.role === role ? ' selected' : ''}>${role}</option>`;
+            });
+            html += '</select></td>';
+            html += `<td>${user.role === 'admin' || !user.chargerScope ? 'All' : escapeHtml(user.chargerScope.join(', '))}</td>`;
+            html += `<td>${user.disabled ? 'Disabled' : 'Active'}</td>`;
+            html += `<td style="white-space: nowrap;">`;
+            html += `<button class="btn btn-secondary btn-sm" data-user-scope="${name}" data-scope="${escapeHtml((user.chargerScope || []).join(', '))}">Scope</button> `;
+            html += `<button class="btn btn-secondary btn-sm" data-user-toggle="${name}" data-disabled="${user.disabled ? 'true' : 'false'}">${user.disabled ? 'Enable' : 'Disable'}</button> `;
+            html += `<button class="btn btn-secondary btn-sm" data-user-reset="${name}">Reset Password</button> `;
+            html += `<button class="btn btn-secondary btn-sm" data-user-delete="${name}">Delete</button>`;
+            html += '</td></tr>';
+        });
+        html += '</tbody></table>';
+        listEl.innerHTML = html;
+
+        listEl.querySelectorAll('[data-user-role]').forEach(select => {
+            select.addEventListener('change', () => updateUser(select.dataset.userRole, { role: select.value }));
+        });
+        listEl.querySelectorAll('[data-user-scope]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const scope = prompt(`Charge point IDs ${btn.dataset.userScope} may access (comma-separated, empty = all):`, btn.dataset.scope);
+                if (scope !== null) updateUser(btn.dataset.userScope, { chargerScope: parseScopeInput(scope) });
+            });
+        });
+        listEl.querySelectorAll('[data-user-toggle]').forEach(btn => {
+            btn.addEventListener('click', () => updateUser(btn.dataset.userToggle, { disabled: btn.dataset.disabled !== 'true' }));
+        });
+        listEl.querySelectorAll('[data-user-reset]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const password = prompt(`New password for ${btn.dataset.userReset} (min 8 characters):`);
+                if (password) updateUser(btn.dataset.userReset, { password });
+            });
+        });
+        listEl.querySelectorAll('[data-user-delete]').forEach(btn => {
+            btn.addEventListener('click', () => deleteUser(btn.dataset.userDelete));
+        });
+    } catch (error) {
+        console.error('Error loading users:', error);
+        listEl.innerHTML = `<p style="color: var(--danger);">Failed to load users: ${escapeHtml(error.message)}</p>`;
+    }
+
+    loadLockouts();
+}
+
+// Usernames and IPs with recent failed sign-ins; locked-out ones can be unlocked
+async function loadLockouts() {
+    const listEl = document.getElementById('lockoutsList');
+
+    try {
+        const lockouts = await API.get('/api/lockouts');
+
+        if (lockouts.length === 0) {
+            listEl.innerHTML = '<p style="color: var(--text-secondary);">No recent failed sign-ins</p>';
+            return;
+        }
+
+        let html = '<table class="config-table">';
+        html += '<thead><tr><th>User / IP</th><th>Failures</th><th>Last Failure</th><th>Status</th><th></th></tr></thead><tbody>';
+        lockouts.forEach(lockout => {
+            const value = escapeHtml(lockout.value);
+            html += '<tr>';
+            html += `<td>${lockout.type === 'ip' ? 'IP ' : ''}${value}</td>`;
+            html += `<td>${lockout.failures}</td>`;
+            html += `<td>${formatTimestamp(lockout.lastFailure * 1000)}</td>`;
+            html += `<td>${lockout.lockedUntil ? `Locked until ${formatTimestamp(lockout.lockedUntil * 1000)}` : '-'}</td>`;
+            html += `<td><button class="btn btn-secondary btn-sm" data-lockout-type="${escapeHtml(lockout.type)}" data-lockout-value="${value}">${lockout.lockedUntil ? 'Unlock' : 'Reset'}</button></td>`;
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+        listEl.innerHTML = html;
+
+        listEl.querySelectorAll('[data-lockout-type]').forEach(btn => {
+            btn.addEventListener('click', () => clearLockout(btn.dataset.lockoutType, btn.dataset.lockoutValue));
+        });
+    } catch (error) {
+        console.error('Error loading lockouts:', error);
+        listEl.innerHTML = `<p style="color: var(--danger);">Failed to load failed sign-ins: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+async function clearLockout(type, value) {
+    try {
+        await API.delete(`/api/lockouts/${type}/${encodeURIComponent(value)}`);
+        showUsersResult(`Failed sign-ins for ${value} cleared`, true);
+        loadLockouts();
+    } catch (error) {
+        showUsersResult('Failed to clear lockout: ' + error.message, false);
+    }
+}
+
+async function addUser() {
+    const username = document.getElementById('newUserName').value.trim();
+    const password = document.getElementById('newUserPassword').value;
+
+    if (!username || password.length < 8) {
+        showUsersResult('Enter a username and a password of at least 8 characters', false);
+        return;
+    }
+
+    try {
+        await API.post('/api/users', {
+            username,
+            password,
+            role: document.getElementById('newUserRole').value,
+            chargerScope: parseScopeInput(document.getElementById('newUserScope').value)
+        });
+        showUsersResult(`User ${username} added`, true);
+        ['newUserName', 'newUserPassword', 'newUserScope'].forEach(id => { document.getElementById(id).value = ''; });
+        loadUsers();
+    } catch (error) {
+        showUsersResult('Failed to add user: ' + error.message, false);
+    }
+}
+
+async function updateUser(username, changes) {
+    try {
+        await API.put(`/api/users/${encodeURIComponent(username)}`, changes);
+        showUsersResult(changes.password ? `Password of ${username} reset` : `User ${username} updated`, true);
+    } catch (error) {
+        showUsersResult('Failed to update user: ' + error.message, false);
+    }
+    loadUsers();
+}
+
+async function deleteUser(username) {
+    if (!confirm(`Delete user ${username}?`)) return;
+
+    try {
+        await API.delete(`/api/users/${encodeURIComponent(username)}`);
+        showUsersResult(`User ${username} deleted`, true);
+        loadUsers();
+    } catch (error) {
+        showUsersResult('Failed to delete user: ' + error.message, false);
+    }
+}
+
+// Show user management result message
+function showUsersResult(message, success) {
+    const resultEl = document.getElementById('usersResult');
+    resultEl.textContent = message;
+    resultEl.className = 'config-result ' + (success ? 'success' : 'error');
+
+    // Auto-hide after 5 seconds
+    setTimeout(() => {
+        resultEl.className = 'config-result';
+    }, 5000);
+}
+
 // Initialize when DOM is ready
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initApp);
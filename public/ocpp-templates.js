@@ -11,5 +11,8 @@ const ocppTemplates = {
     'GetDiagnostics': { location: 'ftp://example.com/diagnostics' },
     'UpdateFirmware': { location: 'ftp://example.com/firmware.bin', retrieveDate: new Date().toISOString() },
     'ClearCache': {},
-    'DataTransfer': { vendorId: 'VendorName', messageId: 'MessageId', data: '' }
+    'DataTransfer': { vendorId: 'VendorName', messageId: 'MessageId', data: '' },
+    // OCPP 2.0.1
+    'RequestStartTransaction': { evseId: 1, remoteStartId: 1, idToken: { idToken: 'ADMIN_TAG', type: 'Central' } },
+    'RequestStopTransaction': { transactionId: '1' }
 };
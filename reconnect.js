@@ -0,0 +1,104 @@
+// CSMS reconnection - backoff with jitter and per-CSMS circuit breakers shared by all chargers
+const logger = require('./logger');
+
+const CLOSED = 'CLOSED'; // Connection attempts allowed
+const OPEN = 'OPEN'; // CSMS considered down, attempts deferred until the reset timeout has passed
+const HALF_OPEN = 'HALF_OPEN'; // One probe attempt allowed; its result closes or re-opens the circuit
+
+// Delay before reconnection attempt `attempt + 1`: exponential, capped at `maxDelay`, with "equal jitter"
+// (half fixed, half random) so chargers that lost the CSMS together spread out their retries.
+// `minDelay` (e.g. time until a circuit closes) is a lower bound before jitter is added.
+function backoffDelay(attempt, { baseDelay, maxDelay, minDelay = 0 }) {
+    const backoff = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+    return Math.round(Math.max(minDelay, backoff / 2) + Math.random() * backoff / 2);
+}
+
+// Circuit key for a CSMS URL: chargers connecting to the same scheme/host/port share a circuit
+function circuitKey(url) {
+    try {
+        return new URL(url).origin;
+    } catch (err) {
+        return url;
+    }
+}
+
+function createCircuitBreakers({ failureThreshold, resetTimeout }) {
+    const circuits = new Map();
+
+    function get(key) {
+        if (!circuits.has(key)) {
+            circuits.set(key, { state: CLOSED, failures: 0, openedAt: null, probing: false, lastError: null });
+        }
+        return circuits.get(key);
+    }
+
+    // Ask to open a connection. Returns 0 when allowed, otherwise the ms to wait before asking again.
+    // An allowed attempt must be finished with succeeded(), failed() or released().
+    function acquire(key) {
+        const circuit = get(key);
+        if (circuit.state === CLOSED) return 0;
+
+        if (circuit.state === OPEN) {
+            const wait = circuit.openedAt + resetTimeout - Date.now();
+            if (wait > 0) return wait;
+            circuit.state = HALF_OPEN;
+            logger('INFO', 'CSMS circuit half-open, probing', { csms: key });
+        }
+
+        if (circuit.probing) return resetTimeout;
+        circuit.probing = true;
+        return 0;
+    }
+
+    function succeeded(key) {
+        const circuit = get(key);
+        if (circuit.state !== CLOSED) {
+            logger('INFO', 'CSMS circuit closed', { csms: key });
+        }
+        circuits.set(key, { state: CLOSED, failures: 0, openedAt: null, probing: false, lastError: null });
+    }
+
+    function failed(key, error) {
+        const circuit = get(key);
+        circuit.failures++;
+        circuit.lastError = error || null;
+        circuit.probing = false;
+
+        if (circuit.state === HALF_OPEN || circuit.failures >= failureThreshold) {
+            if (circuit.state !== OPEN) {
+                logger('WARNING', 'CSMS circuit opened, deferring connection attempts', {
+                    csms: key,
+                    failures: circuit.failures,
+                    resetTimeoutMs: resetTimeout,
+                    error: circuit.lastError
+                });
+            }
+            circuit.state = OPEN;
+            circuit.openedAt = Date.now();
+        }
+    }
+
+    // Give up an attempt without a verdict (e.g. the charger disconnected or the target changed)
+    function released(key) {
+        get(key).probing = false;
+    }
+
+    function state(key) {
+        return get(key).state;
+    }
+
+    function list() {
+        return Array.from(circuits.entries()).map(([key, circuit]) => ({
+            csms: key,
+            state: circuit.state,
+            failures: circuit.failures,
+            lastError: circuit.lastError,
+            openedAt: circuit.openedAt ? Math.floor(circuit.openedAt / 1000) : null,
+            retryAt: circuit.state === OPEN ? Math.floor((circuit.openedAt + resetTimeout) / 1000) : null
+        }));
+    }
+
+    return { acquire, succeeded, failed, released, state, list };
+}
+
+module.exports = { CLOSED, OPEN, HALF_OPEN, backoffDelay, circuitKey, createCircuitBreakers };
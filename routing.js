@@ -0,0 +1,93 @@
+// CSMS routing - picks the upstream CSMS (and optional mirror CSMS) for a charger
+const logger = require('./logger');
+
+const MATCH_TYPES = ['CHARGER', 'GROUP', 'PATTERN'];
+
+// Convert a glob pattern ('*' = any characters, '?' = one character) to an anchored RegExp
+function globToRegExp(pattern) {
+    const escaped = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+// Pick the route for a charger: an exact charger route wins over a group route, which wins over
+// patterns. Among patterns the highest priority wins, then the oldest route.
+function matchRoute(routes, chargePointId, group) {
+    const enabled = routes.filter(route => route.enabled);
+
+    const exact = enabled.find(route => route.match_type === 'CHARGER' && route.match_value === chargePointId);
+    if (exact) return exact;
+
+    if (group) {
+        const byGroup = enabled.find(route => route.match_type === 'GROUP' && route.match_value === group);
+        if (byGroup) return byGroup;
+    }
+
+    const patterns = enabled
+        .filter(route => route.match_type === 'PATTERN' && globToRegExp(route.match_value).test(chargePointId))
+        .sort((a, b) => (b.priority - a.priority) || (a.id - b.id));
+    return patterns[0] || null;
+}
+
+// Append the charge point ID to a CSMS base URL
+function buildCsmsUrl(baseUrl, chargePointId) {
+    return baseUrl.endsWith('/') ? `${baseUrl}${chargePointId}` : `${baseUrl}/${chargePointId}`;
+}
+
+// `getDefaultUrl` returns the global target CSMS URL used when no route matches,
+// `getMirrorUrl` the global mirror CSMS URL (empty when mirroring is off)
+function createCsmsRouter(db, { getDefaultUrl, getMirrorUrl }) {
+    // Resolve where a charger's CSMS connection goes.
+    // Returns { url, protocol, authorization, routeId }; protocol/authorization are null when not overridden.
+    async function resolve(chargePointId) {
+        let route = null;
+        try {
+            const [routes, charger] = await Promise.all([db.getCsmsRoutes(), db.getCharger(chargePointId)]);
+            route = matchRoute(routes, chargePointId, charger ? charger.csms_group : null);
+        } catch (err) {
+            logger('ERROR', 'Failed to resolve CSMS route, using global target', { chargePointId, error: err.message });
+        }
+
+        if (!route) {
+            return { url: buildCsmsUrl(getDefaultUrl(), chargePointId), protocol: null, authorization: null, routeId: null };
+        }
+
+        let authorization = null;
+        if (route.password) {
+            const username = route.username || chargePointId;
+            authorization = `Basic ${Buffer.from(`${username}:${route.password}`).toString('base64')}`;
+        }
+
+        return {
+            url: buildCsmsUrl(route.target_url, chargePointId),
+            protocol: route.protocol || null,
+            authorization,
+            routeId: route.id
+        };
+    }
+
+    // Resolve the mirror CSMS for a charger: its own mirror_url, otherwise the global mirror URL,
+    // unless mirroring is disabled for the charger. Returns { url, source } or null when not mirrored.
+    async function resolveMirror(chargePointId) {
+        let charger = null;
+        try {
+            charger = await db.getCharger(chargePointId);
+        } catch (err) {
+            logger('ERROR', 'Failed to resolve mirror CSMS, using global mirror', { chargePointId, error: err.message });
+        }
+
+        if (charger && charger.mirror_enabled !== null && charger.mirror_enabled !== undefined && !charger.mirror_enabled) {
+            return null;
+        }
+
+        if (charger && charger.mirror_url) {
+            return { url: buildCsmsUrl(charger.mirror_url, chargePointId), source: 'charger' };
+        }
+
+        const globalUrl = getMirrorUrl();
+        return globalUrl ? { url: buildCsmsUrl(globalUrl, chargePointId), source: 'global' } : null;
+    }
+
+    return { resolve, resolveMirror };
+}
+
+module.exports = { MATCH_TYPES, matchRoute, buildCsmsUrl, createCsmsRouter };
@@ -0,0 +1,92 @@
+// OCPP JSON schema validation against the OCPP 1.6 and 2.0.1 schemas in ocpp-schemas/
+// (taken from ocpp-rpc 2.2.1, MIT, see ocpp-schemas/LICENSE.md)
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { OCPP16, OCPP201 } = require('./ocpp');
+
+const SCHEMA_FILES = {
+    [OCPP16]: './ocpp-schemas/ocpp1_6.json',
+    [OCPP201]: './ocpp-schemas/ocpp2_0_1.json'
+};
+
+// One Ajv instance per protocol, compiled on first use
+const validators = new Map();
+
+function getValidator(protocol) {
+    if (!SCHEMA_FILES[protocol]) return null;
+
+    if (!validators.has(protocol)) {
+        const ajv = new Ajv({ allErrors: true, strict: false });
+        addFormats(ajv);
+        ajv.addSchema(require(SCHEMA_FILES[protocol]));
+
+        // OCPP 2.0.1 uses multipleOf: 0.1 for decimals; Ajv's exact check rejects values like 0.3
+        ajv.removeKeyword('multipleOf');
+        ajv.addKeyword({
+            keyword: 'multipleOf',
+            type: 'number',
+            compile: (divisor) => (data) => {
+                const ratio = data / divisor;
+                return Math.abs(Math.round(ratio) - ratio) < 1e-6;
+            },
+            errors: false,
+            metaSchema: { type: 'number' }
+        });
+        validators.set(protocol, ajv);
+    }
+    return validators.get(protocol);
+}
+
+// Names of all OCPP 1.6 and 2.0.1 actions, read from the schema IDs (`urn:Authorize.req`)
+let knownActions = null;
+
+function isKnownAction(action) {
+    if (!knownActions) {
+        knownActions = new Set();
+        Object.values(SCHEMA_FILES).forEach(file => {
+            require(file).forEach(schema => knownActions.add(schema.$id.replace(/^urn:/, '').replace(/\.(req|conf)$/, '')));
+        });
+    }
+    return knownActions.has(action);
+}
+
+function canValidate(protocol) {
+    return Boolean(SCHEMA_FILES[protocol]);
+}
+
+// Turn Ajv errors into { path, message } pairs, e.g. { path: '/idTag', message: 'must NOT have more than 20 characters' }
+function formatErrors(errors) {
+    return (errors || []).map(err => {
+        let path = err.instancePath || '/';
+        if (err.keyword === 'additionalProperties') {
+            path = `${err.instancePath}/${err.params.additionalProperty}`;
+        } else if (err.keyword === 'required') {
+            path = `${err.instancePath}/${err.params.missingProperty}`;
+        }
+        return { path, message: err.message };
+    });
+}
+
+// Validate a payload against the request (`req`) or response (`conf`) schema of an action.
+// Returns an array of violations (empty when valid), or null if the protocol has no schemas.
+function validate(protocol, action, kind, payload) {
+    const ajv = getValidator(protocol);
+    if (!ajv) return null;
+
+    const check = ajv.getSchema(`urn:${action}.${kind}`);
+    if (!check) {
+        return [{ path: '/', message: `unknown ${protocol} action '${action}'` }];
+    }
+
+    return check(payload) ? [] : formatErrors(check.errors);
+}
+
+function validateCall(protocol, action, payload) {
+    return validate(protocol, action, 'req', payload);
+}
+
+function validateResult(protocol, action, payload) {
+    return validate(protocol, action, 'conf', payload);
+}
+
+module.exports = { canValidate, validateCall, validateResult, isKnownAction };
@@ -0,0 +1,107 @@
+// Dashboard event stream - pushes log entries and charger state changes over Server-Sent Events
+const logger = require('./logger');
+
+const HEARTBEAT_INTERVAL = 25000; // ms, keeps idle connections open through proxies and load balancers
+const REVALIDATE_INTERVAL = 30000; // ms between re-checks of a subscriber's credentials
+
+function formatEvent(event, data, id) {
+    let frame = `event: ${event}\n`;
+    if (id !== undefined && id !== null) frame += `id: ${id}\n`;
+    return frame + `data: ${JSON.stringify(data)}\n\n`;
+}
+
+function createEventStream() {
+    const subscribers = new Set();
+
+    // Register an HTTP response as a subscriber. Events published before `resume()` is called
+    // are held back, so the caller can first send any catch-up events in order.
+    // `filter(event, data)` returning false keeps an event from this subscriber.
+    // `revalidate()` is called every REVALIDATE_INTERVAL and on revalidateAll(); when it resolves
+    // to false (session ended, key revoked, user disabled) the stream is closed.
+    function subscribe(req, res, { filter = null, revalidate = null } = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable response buffering in nginx
+        });
+        res.write(': connected\n\n');
+
+        const subscriber = {
+            held: [],
+            filter,
+            send(event, data, id) {
+                if (this.held) {
+                    this.held.push([event, data, id]);
+                } else {
+                    res.write(formatEvent(event, data, id));
+                }
+            },
+            // Write directly, bypassing held events (for catch-up)
+            sendNow(event, data, id) {
+                if (!res.writableEnded) res.write(formatEvent(event, data, id));
+            },
+            resume() {
+                const held = this.held || [];
+                this.held = null;
+                if (res.writableEnded) return;
+                held.forEach(([event, data, id]) => res.write(formatEvent(event, data, id)));
+            },
+            async revalidate() {
+                if (!revalidate || !subscribers.has(this)) return;
+                let valid = false;
+                try {
+                    valid = await revalidate();
+                } catch (err) {
+                    logger('WARNING', 'Failed to re-check dashboard stream credentials', { error: err.message });
+                }
+                if (!valid && subscribers.has(this)) {
+                    // The client reconnects and has to authenticate again
+                    stop();
+                    logger('INFO', 'Dashboard stream closed, credentials no longer valid', { user: req.user && req.user.username });
+                    res.end();
+                }
+            }
+        };
+
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+        const revalidation = revalidate ? setInterval(() => subscriber.revalidate(), REVALIDATE_INTERVAL) : null;
+        subscribers.add(subscriber);
+        logger('INFO', 'Dashboard stream opened', { user: req.user && req.user.username, subscribers: subscribers.size });
+
+        function stop() {
+            clearInterval(heartbeat);
+            clearInterval(revalidation);
+            subscribers.delete(subscriber);
+        }
+
+        req.on('close', () => {
+            if (!subscribers.has(subscriber)) return;
+            stop();
+            logger('INFO', 'Dashboard stream closed', { user: req.user && req.user.username, subscribers: subscribers.size });
+        });
+
+        return subscriber;
+    }
+
+    // Send an event to every connected dashboard
+    function publish(event, data, id) {
+        subscribers.forEach(subscriber => {
+            try {
+                if (subscriber.filter && !subscriber.filter(event, data)) return;
+                subscriber.send(event, data, id);
+            } catch (err) {
+                logger('WARNING', 'Failed to push dashboard event', { event, error: err.message });
+            }
+        });
+    }
+
+    // Re-check every subscriber's credentials now, e.g. after a logout or a user or API key change
+    function revalidateAll() {
+        subscribers.forEach(subscriber => subscriber.revalidate());
+    }
+
+    return { subscribe, publish, revalidateAll };
+}
+
+module.exports = { createEventStream };
@@ -0,0 +1,190 @@
+const { createTestDb } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const auth = require('../auth');
+const { hashPassword } = require('../passwords');
+
+let db;
+
+before(async () => {
+    db = await createTestDb();
+});
+
+after(() => db.close());
+
+// Run a middleware against a stub response. Resolves to whether it passed the request on.
+async function run(middleware, req) {
+    let passed = false;
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        },
+        setHeader(name, value) {
+            this.headers[name] = value;
+        }
+    };
+    await middleware(req, res, () => { passed = true; });
+    return { passed, res };
+}
+
+describe('role-based access control', () => {
+    const viewer = { username: 'v', role: 'viewer', chargerScope: null };
+    const operator = { username: 'o', role: 'operator', chargerScope: null };
+    const scopedOperator = { username: 's', role: 'operator', chargerScope: ['CP1'] };
+    const admin = { username: 'a', role: 'admin', chargerScope: null };
+
+    it('requires at least the given role', async () => {
+        const requireOperator = auth.requireRole('operator');
+
+        const denied = await run(requireOperator, { user: viewer });
+        assert.equal(denied.passed, false);
+        assert.equal(denied.res.statusCode, 403);
+        assert.deepEqual(denied.res.body, { error: 'Requires the operator role' });
+
+        assert.equal((await run(requireOperator, { user: operator })).passed, true);
+        assert.equal((await run(requireOperator, { user: admin })).passed, true);
+        assert.equal((await run(auth.requireRole('admin'), { user: operator })).passed, false);
+    });
+
+    it('limits charger-scoped users to their chargers', async () => {
+        const other = await run(auth.requireChargerAccess, { user: scopedOperator, params: { cpId: 'CP2' } });
+        assert.equal(other.passed, false);
+        assert.equal(other.res.statusCode, 403);
+
+        assert.equal((await run(auth.requireChargerAccess, { user: scopedOperator, params: { cpId: 'CP1' } })).passed, true);
+        assert.equal((await run(auth.requireChargerAccess, { user: operator, params: { cpId: 'CP2' } })).passed, true);
+
+        assert.equal(auth.canAccessCharger(scopedOperator, 'CP1'), true);
+        assert.equal(auth.canAccessCharger(scopedOperator, 'CP2'), false);
+    });
+
+    it('keeps charger-scoped users from settings shared by all chargers', async () => {
+        const denied = await run(auth.requireUnscoped, { user: scopedOperator });
+        assert.equal(denied.passed, false);
+        assert.equal(denied.res.statusCode, 403);
+
+        assert.equal((await run(auth.requireUnscoped, { user: operator })).passed, true);
+    });
+
+    it('parses stored charger scopes', () => {
+        assert.deepEqual(auth.parseChargerScope('CP1, CP2,,'), ['CP1', 'CP2']);
+        assert.equal(auth.parseChargerScope(null), null);
+        assert.equal(auth.parseChargerScope(''), null);
+    });
+
+    describe('authenticated requests', () => {
+        let sessions;
+        let apiKeys;
+        let authenticate;
+
+        before(async () => {
+            sessions = auth.createSessionManager(db, { idleTimeout: 1800, maxAge: 43200 });
+            apiKeys = auth.createApiKeyManager(db);
+            const loginThrottle = auth.createLoginThrottle({ maxFailures: 5, maxFailuresPerIp: 20, lockoutSeconds: 900 });
+            authenticate = auth.createAuthMiddleware(db, { sessions, apiKeys, loginThrottle });
+
+            const passwordHash = await hashPassword('secret-password');
+            await db.addUser('rbac-operator', passwordHash, 'operator');
+            await db.updateUser('rbac-operator', { charger_scope: 'CP1,CP2' });
+            await db.addUser('rbac-admin', passwordHash, 'admin');
+            await db.updateUser('rbac-admin', { charger_scope: 'CP1' });
+        });
+
+        const basic = username => `Basic ${Buffer.from(`${username}:secret-password`).toString('base64')}`;
+
+        it('attaches the role and charger scope of the user', async () => {
+            const req = { headers: { authorization: basic('rbac-operator') }, ip: '10.0.0.1' };
+            assert.equal((await run(authenticate, req)).passed, true);
+            assert.deepEqual(req.user, { username: 'rbac-operator', role: 'operator', chargerScope: ['CP1', 'CP2'] });
+        });
+
+        it('never scopes admins', async () => {
+            const req = { headers: { authorization: basic('rbac-admin') }, ip: '10.0.0.1' };
+            await run(authenticate, req);
+            assert.equal(req.user.chargerScope, null);
+        });
+
+        it('applies role and scope changes to existing sessions', async () => {
+            const { token } = await sessions.create('rbac-operator', '10.0.0.1');
+            await db.updateUser('rbac-operator', { role: 'viewer', charger_scope: 'CP3' });
+
+            const req = { headers: { authorization: `Bearer ${token}` } };
+            assert.equal((await run(authenticate, req)).passed, true);
+            assert.equal(req.user.role, 'viewer');
+            assert.deepEqual(req.user.chargerScope, ['CP3']);
+        });
+
+        it('gives API keys their own role and scope', async () => {
+            const { key } = await apiKeys.create({ name: 'monitoring', role: 'viewer', chargerScope: ['CP9'] });
+
+            const req = { headers: { authorization: `Bearer ${key}` } };
+            assert.equal((await run(authenticate, req)).passed, true);
+            assert.equal(req.user.role, 'viewer');
+            assert.deepEqual(req.user.chargerScope, ['CP9']);
+        });
+    });
+});
+
+describe('login throttle', () => {
+    const createThrottle = () => auth.createLoginThrottle({ maxFailures: 3, maxFailuresPerIp: 5, lockoutSeconds: 900 });
+
+    it('counts parallel attempts towards the lockout limit', () => {
+        const throttle = createThrottle();
+        for (let i = 0; i < 3; i++) {
+            assert.equal(throttle.begin('alice', '10.0.0.1'), 0);
+        }
+        assert.ok(throttle.begin('alice', '10.0.0.1') > 0);
+
+        throttle.release('alice', '10.0.0.1');
+        assert.equal(throttle.begin('alice', '10.0.0.1'), 0);
+    });
+
+    it('locks a username out after repeated failures', () => {
+        const throttle = createThrottle();
+        for (let i = 0; i < 3; i++) throttle.recordFailure('alice', '10.0.0.1');
+
+        assert.ok(throttle.begin('alice', '10.0.0.2') >= 899);
+        const [locked] = throttle.list();
+        assert.equal(locked.type, 'username');
+        assert.equal(locked.value, 'alice');
+        assert.equal(locked.failures, 3);
+        assert.ok(locked.lockedUntil > Date.now() / 1000);
+    });
+
+    it('locks an IP out after failures across usernames', () => {
+        const throttle = createThrottle();
+        ['alice', 'bob', 'carol', 'dave', 'erin'].forEach(username => throttle.recordFailure(username, '10.0.0.1'));
+
+        assert.ok(throttle.begin('frank', '10.0.0.1') >= 899);
+        assert.equal(throttle.begin('frank', '10.0.0.2'), 0);
+    });
+
+    it('clears the username but not the IP on success', () => {
+        const throttle = createThrottle();
+        throttle.recordFailure('alice', '10.0.0.1');
+        throttle.recordFailure('alice', '10.0.0.1');
+        throttle.recordSuccess('alice', '10.0.0.1');
+
+        assert.deepEqual(throttle.list().map(({ type, value, failures }) => ({ type, value, failures })), [
+            { type: 'ip', value: '10.0.0.1', failures: 2 }
+        ]);
+    });
+
+    it('lifts a lockout when cleared', () => {
+        const throttle = createThrottle();
+        for (let i = 0; i < 3; i++) throttle.recordFailure('alice', null);
+
+        assert.ok(throttle.begin('alice', null) > 0);
+        assert.equal(throttle.clear('username', 'alice'), true);
+        assert.equal(throttle.begin('alice', null), 0);
+        assert.deepEqual(throttle.list(), []);
+    });
+});
@@ -0,0 +1,21 @@
+// Shared test setup. Require it before the modules under test: it points the logger and the
+// database adapter at throwaway locations.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.LOG_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'oye-proxy-test-'));
+process.env.USE_MEMORY_DB = 'true';
+
+const DatabaseAdapter = require('../db/adapter');
+
+// A migrated in-memory database. The adapter keeps one in-memory connection per process, so
+// create it once per test file (tests use their own charge point IDs) and close it in a
+// top-level `after()` so the test process can exit.
+async function createTestDb() {
+    const db = new DatabaseAdapter();
+    await db.runMigrations();
+    return db;
+}
+
+module.exports = { createTestDb };
@@ -0,0 +1,72 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createMetrics } = require('../metrics');
+
+// Value of the series with exactly these labels, or undefined
+function sample(text, name, labels) {
+    const line = text.split('\n').find(l => l.startsWith(`${name}${labels} `));
+    return line === undefined ? undefined : Number(line.slice(line.lastIndexOf(' ') + 1));
+}
+
+describe('metrics', () => {
+    it('counts responses under the action of the call they answer', () => {
+        const metrics = createMetrics();
+        metrics.recordMessage('CP1', 'UPSTREAM', [2, 'm1', 'Heartbeat', {}]);
+        metrics.recordMessage('CP1', 'DOWNSTREAM', [3, 'm1', { currentTime: '2026-01-01T00:00:00Z' }]);
+
+        const text = metrics.render({ chargers: [] });
+        assert.equal(sample(text, 'ocpp_proxy_messages_total', '{direction="UPSTREAM",action="Heartbeat"}'), 1);
+        assert.equal(sample(text, 'ocpp_proxy_messages_total', '{direction="DOWNSTREAM",action="Heartbeat"}'), 1);
+    });
+
+    it('does not let mirror CSMS replies consume pending calls', () => {
+        const metrics = createMetrics();
+        metrics.recordMessage('CP1', 'UPSTREAM', [2, 'm1', 'Authorize', { idTag: 'TAG' }]);
+        metrics.recordMessage('CP1', 'MIRROR_CALL', [2, 'm1', 'Authorize', { idTag: 'TAG' }]);
+        metrics.recordMessage('CP1', 'MIRROR_RESPONSE', [3, 'm1', {}]);
+        metrics.recordMessage('CP1', 'DOWNSTREAM', [3, 'm1', { idTagInfo: { status: 'Accepted' } }]);
+
+        const text = metrics.render({ chargers: [] });
+        assert.equal(sample(text, 'ocpp_proxy_messages_total', '{direction="MIRROR_CALL",action="Authorize"}'), 1);
+        assert.equal(sample(text, 'ocpp_proxy_messages_total', '{direction="MIRROR_RESPONSE",action="unknown"}'), 1);
+        assert.equal(sample(text, 'ocpp_proxy_messages_total', '{direction="DOWNSTREAM",action="Authorize"}'), 1);
+    });
+
+    it('labels actions outside the OCPP schemas as other', () => {
+        const metrics = createMetrics();
+        metrics.recordMessage('CP1', 'UPSTREAM', [2, 'm1', 'VendorSpecificThing', {}]);
+        metrics.recordMessage('CP1', 'DOWNSTREAM', [3, 'm1', {}]);
+        metrics.recordInjectionTimeout('AnotherVendorThing');
+
+        const text = metrics.render({ chargers: [] });
+        assert.equal(sample(text, 'ocpp_proxy_messages_total', '{direction="UPSTREAM",action="other"}'), 1);
+        assert.equal(sample(text, 'ocpp_proxy_messages_total', '{direction="DOWNSTREAM",action="other"}'), 1);
+        assert.equal(sample(text, 'ocpp_proxy_injections_total', '{action="other",result="timeout"}'), 1);
+        assert.ok(!text.includes('Vendor'));
+    });
+
+    it('counts injection results and standalone answers', () => {
+        const metrics = createMetrics();
+        metrics.recordMessage('CP1', 'INJECTION_REQUEST', [2, 'i1', 'Reset', { type: 'Soft' }]);
+        metrics.recordMessage('CP1', 'INJECTION_RESPONSE', [4, 'i1', 'NotSupported', '', {}]);
+        metrics.recordMessage('CP1', 'UPSTREAM', [2, 'm1', 'BootNotification', {}]);
+        metrics.recordMessage('CP1', 'PROXY_RESPONSE', [3, 'm1', {}]);
+
+        const text = metrics.render({ chargers: [] });
+        assert.equal(sample(text, 'ocpp_proxy_injections_total', '{action="Reset",result="error"}'), 1);
+        assert.equal(sample(text, 'ocpp_proxy_standalone_responses_total', '{action="BootNotification"}'), 1);
+    });
+
+    it('renders live connection gauges', () => {
+        const metrics = createMetrics();
+        const text = metrics.render({
+            chargers: [{ chargePointId: 'CP"1', csmsState: 'WAITING', bufferedMessages: 3 }]
+        });
+
+        assert.equal(sample(text, 'ocpp_proxy_connected_chargers', ''), 1);
+        assert.equal(sample(text, 'ocpp_proxy_csms_connection_state', '{charge_point_id="CP\\"1",state="WAITING"}'), 1);
+        assert.equal(sample(text, 'ocpp_proxy_csms_connection_state', '{charge_point_id="CP\\"1",state="CONNECTED"}'), 0);
+        assert.equal(sample(text, 'ocpp_proxy_csms_buffered_messages', '{charge_point_id="CP\\"1"}'), 3);
+        assert.ok(text.includes('# TYPE ocpp_proxy_db_log_duration_seconds histogram'));
+    });
+});
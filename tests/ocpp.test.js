@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createCallTracker } = require('../ocpp');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('call tracker', () => {
+    it('matches a response to the call the other side sent', () => {
+        const tracker = createCallTracker();
+        tracker.remember('CP1', 'UPSTREAM', 'm1', 'StartTransaction');
+
+        assert.equal(tracker.take('CP1', 'UPSTREAM', 'm1'), undefined);
+        assert.equal(tracker.take('CP1', 'DOWNSTREAM', 'm1'), 'StartTransaction');
+        assert.equal(tracker.take('CP1', 'DOWNSTREAM', 'm1'), undefined);
+    });
+
+    it('keeps colliding charger and CSMS message IDs apart', () => {
+        const tracker = createCallTracker();
+        tracker.remember('CP1', 'UPSTREAM', '1', 'Heartbeat');
+        tracker.remember('CP1', 'DOWNSTREAM', '1', 'Reset');
+
+        assert.equal(tracker.take('CP1', 'UPSTREAM', '1'), 'Reset');
+        assert.equal(tracker.take('CP1', 'DOWNSTREAM', '1'), 'Heartbeat');
+    });
+
+    it('treats injected, proxy-answered and replayed frames as sent by their side', () => {
+        const tracker = createCallTracker();
+        tracker.remember('CP1', 'INJECTION_REQUEST', 'i1', 'RemoteStartTransaction');
+        tracker.remember('CP1', 'REPLAY_REQUEST', 'r1', 'MeterValues');
+        tracker.remember('CP1', 'UPSTREAM', 'p1', 'Authorize');
+
+        assert.equal(tracker.take('CP1', 'INJECTION_RESPONSE', 'i1'), 'RemoteStartTransaction');
+        assert.equal(tracker.take('CP1', 'REPLAY_RESPONSE', 'r1'), 'MeterValues');
+        assert.equal(tracker.take('CP1', 'PROXY_RESPONSE', 'p1'), 'Authorize');
+    });
+
+    it('ignores untracked directions', () => {
+        const tracker = createCallTracker();
+        tracker.remember('CP1', 'MIRROR_CALL', 'm1', 'Heartbeat');
+        tracker.remember('CP1', 'UPSTREAM', 'm2', 'Heartbeat');
+
+        assert.equal(tracker.take('CP1', 'DOWNSTREAM', 'm1'), undefined);
+        assert.equal(tracker.take('CP1', 'MIRROR_RESPONSE', 'm2'), undefined);
+        assert.equal(tracker.take('CP1', 'DOWNSTREAM', 'm2'), 'Heartbeat');
+    });
+
+    it('keeps charge points apart', () => {
+        const tracker = createCallTracker();
+        tracker.remember('CP1', 'UPSTREAM', 'm1', 'Heartbeat');
+
+        assert.equal(tracker.take('CP2', 'DOWNSTREAM', 'm1'), undefined);
+        assert.equal(tracker.take('CP1', 'DOWNSTREAM', 'm1'), 'Heartbeat');
+    });
+
+    it('forgets calls left unanswered for the ttl', async () => {
+        const tracker = createCallTracker({ ttl: 50 });
+        tracker.remember('CP1', 'UPSTREAM', 'old', 'Heartbeat');
+        await sleep(60);
+        tracker.remember('CP1', 'UPSTREAM', 'new', 'StatusNotification');
+
+        assert.equal(tracker.take('CP1', 'DOWNSTREAM', 'old'), undefined);
+        assert.equal(tracker.take('CP1', 'DOWNSTREAM', 'new'), 'StatusNotification');
+    });
+});
@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const schemas = require('../schemas');
+const ocpp = require('../ocpp');
+
+describe('OCPP schema validation', () => {
+    it('accepts valid calls and results', () => {
+        assert.deepEqual(schemas.validateCall(ocpp.OCPP16, 'RemoteStartTransaction', { connectorId: 1, idTag: 'TAG1' }), []);
+        assert.deepEqual(schemas.validateResult(ocpp.OCPP16, 'RemoteStartTransaction', { status: 'Accepted' }), []);
+        assert.deepEqual(schemas.validateCall(ocpp.OCPP201, 'RequestStartTransaction', {
+            remoteStartId: 1,
+            idToken: { idToken: 'TAG1', type: 'ISO14443' }
+        }), []);
+    });
+
+    it('reports the path of each error', () => {
+        assert.deepEqual(schemas.validateCall(ocpp.OCPP16, 'RemoteStartTransaction', {}), [
+            { path: '/idTag', message: "must have required property 'idTag'" }
+        ]);
+        assert.deepEqual(schemas.validateCall(ocpp.OCPP16, 'RemoteStartTransaction', { idTag: 'X'.repeat(21) }), [
+            { path: '/idTag', message: 'must NOT have more than 20 characters' }
+        ]);
+        assert.deepEqual(schemas.validateCall(ocpp.OCPP16, 'Reset', { type: 'Soft', force: true }), [
+            { path: '/force', message: 'must NOT have additional properties' }
+        ]);
+    });
+
+    it('rejects actions the protocol does not define', () => {
+        assert.deepEqual(schemas.validateCall(ocpp.OCPP16, 'RequestStartTransaction', {}), [
+            { path: '/', message: "unknown ocpp1.6 action 'RequestStartTransaction'" }
+        ]);
+    });
+
+    it('builds valid SetChargingProfile payloads for both versions', () => {
+        [ocpp.OCPP16, ocpp.OCPP201].forEach(protocol => {
+            const payload = ocpp.buildSetChargingProfile(protocol, { profileId: 1, purpose: 'ChargePointMaxProfile', limit: 7400 });
+            assert.deepEqual(schemas.validateCall(protocol, 'SetChargingProfile', payload), [], protocol);
+        });
+    });
+
+    it('accepts OCPP 2.0.1 decimals despite floating point rounding (multipleOf 0.1)', () => {
+        const payload = ocpp.buildSetChargingProfile(ocpp.OCPP201, { profileId: 1, purpose: 'ChargePointMaxProfile', limit: 0.3 });
+        assert.deepEqual(schemas.validateCall(ocpp.OCPP201, 'SetChargingProfile', payload), []);
+    });
+
+    it('only validates protocols it has schemas for', () => {
+        assert.equal(schemas.canValidate(ocpp.OCPP16), true);
+        assert.equal(schemas.canValidate(ocpp.OCPP201), true);
+        assert.equal(schemas.canValidate('ocpp1.5'), false);
+        assert.equal(schemas.validateCall('ocpp1.5', 'Heartbeat', {}), null);
+    });
+
+    it('knows the actions of both versions', () => {
+        assert.equal(schemas.isKnownAction('StartTransaction'), true);
+        assert.equal(schemas.isKnownAction('TransactionEvent'), true);
+        assert.equal(schemas.isKnownAction('NotAnAction'), false);
+    });
+});
@@ -0,0 +1,191 @@
+// End-to-end store-and-forward: the proxy runs as a child process between a test charger and a
+// fake CSMS that comes up after the charger has started (and stopped) a session.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+
+const ADMIN_PASSWORD = 'test-admin-password';
+const TIMESTAMP = '2026-01-01T10:00:00Z';
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.on('error', reject);
+        server.listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(check, timeout, what) {
+    const deadline = Date.now() + timeout;
+    while (Date.now() < deadline) {
+        if (await check()) return;
+        await sleep(100);
+    }
+    throw new Error(`Timed out waiting for ${what}`);
+}
+
+// Start the proxy with an in-memory database. The second CSMS connection attempt comes 2-4s after
+// the first, so the charger's first call is buffered before the proxy starts answering in its place.
+async function startProxy(port) {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+        env: {
+            ...process.env,
+            PORT: String(port),
+            USE_MEMORY_DB: 'true',
+            INITIAL_ADMIN_PASSWORD: ADMIN_PASSWORD,
+            LOG_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'oye-proxy-test-')),
+            CSMS_RECONNECT_MAX_ATTEMPTS: '2',
+            CSMS_RECONNECT_BASE_DELAY: '2000',
+            CSMS_RECONNECT_MAX_DELAY: '4000',
+            CSMS_CIRCUIT_FAILURE_THRESHOLD: '1000',
+            CSMS_REPLAY_TIMEOUT: '2000'
+        },
+        stdio: 'ignore'
+    });
+
+    await waitFor(() => fetch(`http://localhost:${port}/health`).then(res => res.ok, () => false), 20000, 'the proxy to start');
+    return child;
+}
+
+function api(port, method, endpoint, body) {
+    return fetch(`http://localhost:${port}${endpoint}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Basic ${Buffer.from(`admin:${ADMIN_PASSWORD}`).toString('base64')}`
+        },
+        body: body && JSON.stringify(body)
+    });
+}
+
+// Fake CSMS recording the calls it receives per charger. StartTransaction gets a CSMS transaction ID,
+// or a CallError for chargers listed in `rejectStarts`.
+function startCsms(port, { rejectStarts = [] } = {}) {
+    const calls = new Map(); // chargePointId -> [[action, payload]]
+    const issued = new Map(); // chargePointId -> last transaction ID issued
+    let nextTransactionId = 5000;
+    const server = new WebSocket.Server({ port, handleProtocols: protocols => [...protocols][0] });
+
+    server.on('connection', (ws, req) => {
+        const chargePointId = req.url.split('/').pop();
+        if (!calls.has(chargePointId)) calls.set(chargePointId, []);
+
+        ws.on('message', message => {
+            const [type, messageId, action, payload] = JSON.parse(message);
+            if (type !== 2) return;
+            calls.get(chargePointId).push([action, payload]);
+
+            if (action === 'StartTransaction' && rejectStarts.includes(chargePointId)) {
+                ws.send(JSON.stringify([4, messageId, 'InternalError', 'Rejected by test CSMS', {}]));
+            } else if (action === 'StartTransaction') {
+                issued.set(chargePointId, ++nextTransactionId);
+                ws.send(JSON.stringify([3, messageId, { transactionId: nextTransactionId, idTagInfo: { status: 'Accepted' } }]));
+            } else {
+                ws.send(JSON.stringify([3, messageId, action === 'Heartbeat' ? { currentTime: new Date().toISOString() } : {}]));
+            }
+        });
+    });
+
+    return {
+        server,
+        calls: chargePointId => calls.get(chargePointId) || [],
+        issuedTransactionId: chargePointId => issued.get(chargePointId)
+    };
+}
+
+// OCPP 1.6 test charger. call() resolves with the CallResult/CallError payload frame.
+async function connectCharger(port, chargePointId) {
+    const ws = new WebSocket(`ws://localhost:${port}/ocpp/${chargePointId}`, ['ocpp1.6']);
+    const waiters = new Map();
+    ws.on('message', message => {
+        const frame = JSON.parse(message);
+        if (waiters.has(frame[1])) waiters.get(frame[1])(frame);
+    });
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    // Give the proxy time to set up the connection before the first frame
+    await sleep(1000);
+
+    let counter = 0;
+    function call(action, payload) {
+        const messageId = `${chargePointId}-${++counter}`;
+        const answered = new Promise(resolve => waiters.set(messageId, resolve));
+        ws.send(JSON.stringify([2, messageId, action, payload]));
+        return answered;
+    }
+
+    return { ws, call };
+}
+
+describe('store-and-forward', () => {
+    let proxyPort;
+    let csmsPort;
+    let proxy;
+    let csms;
+    const chargers = [];
+
+    before(async () => {
+        proxyPort = await freePort();
+        csmsPort = await freePort();
+        proxy = await startProxy(proxyPort);
+
+        const res = await api(proxyPort, 'POST', '/api/config', {
+            targetCsmsUrl: `ws://localhost:${csmsPort}/`,
+            csmsForwardingEnabled: true
+        });
+        assert.equal(res.status, 200);
+    });
+
+    after(async () => {
+        chargers.forEach(charger => charger.ws.terminate());
+        if (csms) await new Promise(resolve => csms.server.close(resolve));
+        if (proxy) proxy.kill();
+    });
+
+    it('replays sessions answered while the CSMS was down in order, with the CSMS transaction ID', { timeout: 30000 }, async () => {
+        const accepted = await connectCharger(proxyPort, 'CP-REPLAY');
+        const rejected = await connectCharger(proxyPort, 'CP-REJECT');
+        chargers.push(accepted, rejected);
+
+        for (const charger of [accepted, rejected]) {
+            // Buffered, then answered by the proxy once its CSMS connection attempts are used up
+            const started = await charger.call('StartTransaction', { connectorId: 1, idTag: 'TAG1', meterStart: 0, timestamp: TIMESTAMP });
+            assert.equal(started[0], 3);
+            const proxyTransactionId = started[2].transactionId;
+
+            // Sent back to back, without waiting for answers
+            await Promise.all([
+                charger.call('MeterValues', { connectorId: 1, transactionId: proxyTransactionId, meterValue: [{ timestamp: TIMESTAMP, sampledValue: [{ value: '100' }] }] }),
+                charger.call('MeterValues', { connectorId: 1, transactionId: proxyTransactionId, meterValue: [{ timestamp: TIMESTAMP, sampledValue: [{ value: '200' }] }] }),
+                charger.call('StopTransaction', { transactionId: proxyTransactionId, meterStop: 300, timestamp: TIMESTAMP })
+            ]);
+        }
+
+        csms = startCsms(csmsPort, { rejectStarts: ['CP-REJECT'] });
+
+        await waitFor(() => csms.calls('CP-REPLAY').some(([action]) => action === 'StopTransaction'), 20000, 'the replayed StopTransaction');
+        const replayed = csms.calls('CP-REPLAY');
+        assert.deepEqual(replayed.map(([action]) => action), ['StartTransaction', 'MeterValues', 'MeterValues', 'StopTransaction']);
+
+        const csmsTransactionId = csms.issuedTransactionId('CP-REPLAY');
+        replayed.slice(1).forEach(([, payload]) => assert.equal(payload.transactionId, csmsTransactionId));
+
+        // The rejected session's MeterValues and StopTransaction are dropped, live traffic goes on
+        await waitFor(() => csms.calls('CP-REJECT').length > 0, 20000, 'the replayed StartTransaction');
+        const heartbeat = await rejected.call('Heartbeat', {});
+        assert.equal(heartbeat[0], 3);
+        assert.deepEqual(csms.calls('CP-REJECT').map(([action]) => action), ['StartTransaction', 'Heartbeat']);
+    });
+});
@@ -0,0 +1,193 @@
+const { createTestDb } = require('./helpers');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTransactionRecorder } = require('../transactions');
+
+const TIMESTAMP = '2026-01-01T10:00:00Z';
+const meterValue = wh => [{ timestamp: TIMESTAMP, sampledValue: [{ value: String(wh) }] }];
+
+let db;
+
+before(async () => {
+    db = await createTestDb();
+});
+
+after(() => db.close());
+
+describe('transaction recorder', () => {
+    let recorder;
+
+    before(() => {
+        recorder = createTransactionRecorder(db);
+    });
+
+    it('records an OCPP 1.6 session answered by the CSMS', async () => {
+        await recorder.record('CP-16', 'UPSTREAM', [2, 'start-1', 'StartTransaction', {
+            connectorId: 1, idTag: 'TAG1', meterStart: 1000, timestamp: TIMESTAMP
+        }]);
+        await recorder.record('CP-16', 'DOWNSTREAM', [3, 'start-1', { transactionId: 42, idTagInfo: { status: 'Accepted' } }]);
+
+        let tx = await db.getTransaction('CP-16', 42);
+        assert.equal(tx.status, 'ACTIVE');
+        assert.equal(tx.id_source, 'CSMS');
+        assert.equal(tx.id_tag, 'TAG1');
+        assert.equal(tx.meter_start, 1000);
+
+        await recorder.record('CP-16', 'UPSTREAM', [2, 'mv-1', 'MeterValues', { connectorId: 1, transactionId: 42, meterValue: meterValue(1500) }]);
+        tx = await db.getTransaction('CP-16', 42);
+        assert.equal(tx.meter_last, 1500);
+
+        await recorder.record('CP-16', 'UPSTREAM', [2, 'stop-1', 'StopTransaction', {
+            transactionId: 42, meterStop: 2500, timestamp: '2026-01-01T11:00:00Z', reason: 'Local'
+        }]);
+        tx = await db.getTransaction('CP-16', 42);
+        assert.equal(tx.status, 'COMPLETED');
+        assert.equal(tx.energy, 1500);
+        assert.equal(tx.duration, 3600);
+        assert.equal(tx.stop_reason, 'Local');
+    });
+
+    it('marks sessions answered by the proxy', async () => {
+        await recorder.record('CP-PROXY', 'UPSTREAM', [2, 'start-1', 'StartTransaction', {
+            connectorId: 1, idTag: 'TAG1', meterStart: 0, timestamp: TIMESTAMP
+        }]);
+        await recorder.record('CP-PROXY', 'PROXY_RESPONSE', [3, 'start-1', { transactionId: 100123, idTagInfo: { status: 'Accepted' } }]);
+
+        const tx = await db.getTransaction('CP-PROXY', 100123);
+        assert.equal(tx.status, 'ACTIVE');
+        assert.equal(tx.id_source, 'PROXY');
+    });
+
+    it('does not match a StartTransaction to the answer of a CSMS call with the same message ID', async () => {
+        await recorder.record('CP-COLLIDE', 'UPSTREAM', [2, '1', 'StartTransaction', {
+            connectorId: 1, idTag: 'TAG1', meterStart: 0, timestamp: TIMESTAMP
+        }]);
+        // The CSMS picks the same message ID for its own call; the charger answers it first
+        await recorder.record('CP-COLLIDE', 'DOWNSTREAM', [2, '1', 'GetConfiguration', {}]);
+        await recorder.record('CP-COLLIDE', 'UPSTREAM', [3, '1', { configurationKey: [] }]);
+        await recorder.record('CP-COLLIDE', 'DOWNSTREAM', [3, '1', { transactionId: 7, idTagInfo: { status: 'Accepted' } }]);
+
+        const tx = await db.getTransaction('CP-COLLIDE', 7);
+        assert.equal(tx.status, 'ACTIVE');
+        assert.equal(tx.id_tag, 'TAG1');
+    });
+
+    it('ignores a rejected StartTransaction', async () => {
+        await recorder.record('CP-ERROR', 'UPSTREAM', [2, 'start-1', 'StartTransaction', {
+            connectorId: 1, idTag: 'TAG1', meterStart: 0, timestamp: TIMESTAMP
+        }]);
+        await recorder.record('CP-ERROR', 'DOWNSTREAM', [4, 'start-1', 'InternalError', 'failed', {}]);
+        // A late CallResult with the same ID no longer matches
+        await recorder.record('CP-ERROR', 'DOWNSTREAM', [3, 'start-1', { transactionId: 9, idTagInfo: { status: 'Accepted' } }]);
+
+        assert.equal(await db.getTransaction('CP-ERROR', 9), undefined);
+    });
+
+    it('records an OCPP 2.0.1 session from TransactionEvent', async () => {
+        await recorder.record('CP-201', 'UPSTREAM', [2, 'ev-1', 'TransactionEvent', {
+            eventType: 'Started',
+            timestamp: TIMESTAMP,
+            triggerReason: 'Authorized',
+            seqNo: 0,
+            transactionInfo: { transactionId: 'tx-abc' },
+            idToken: { idToken: 'TAG2', type: 'ISO14443' },
+            evse: { id: 1, connectorId: 1 },
+            meterValue: meterValue(200)
+        }]);
+
+        let tx = await db.getTransaction('CP-201', 'tx-abc');
+        assert.equal(tx.status, 'ACTIVE');
+        assert.equal(tx.id_source, 'CHARGER');
+        assert.equal(tx.id_tag, 'TAG2');
+        assert.equal(tx.meter_start, 200);
+
+        await recorder.record('CP-201', 'UPSTREAM', [2, 'ev-2', 'TransactionEvent', {
+            eventType: 'Ended',
+            timestamp: '2026-01-01T10:30:00Z',
+            triggerReason: 'StopAuthorized',
+            seqNo: 1,
+            transactionInfo: { transactionId: 'tx-abc', stoppedReason: 'Local' },
+            meterValue: meterValue(1200)
+        }]);
+
+        tx = await db.getTransaction('CP-201', 'tx-abc');
+        assert.equal(tx.status, 'COMPLETED');
+        assert.equal(tx.energy, 1000);
+        assert.equal(tx.duration, 1800);
+    });
+});
+
+describe('proxy-issued transaction IDs', () => {
+    let recorder;
+
+    before(() => {
+        recorder = createTransactionRecorder(db);
+    });
+
+    // A StartTransaction answered by the proxy with a freshly allocated ID
+    async function startProxySession(chargePointId) {
+        const transactionId = await db.allocateTransactionId(chargePointId);
+        await recorder.record(chargePointId, 'UPSTREAM', [2, `start-${transactionId}`, 'StartTransaction', {
+            connectorId: 1, idTag: 'TAG1', meterStart: 0, timestamp: TIMESTAMP
+        }]);
+        await recorder.record(chargePointId, 'PROXY_RESPONSE', [3, `start-${transactionId}`, {
+            transactionId, idTagInfo: { status: 'Accepted' }
+        }]);
+        return transactionId;
+    }
+
+    it('allocates unique IDs across chargers, above the range CSMSs usually start in', async () => {
+        const ids = [
+            await db.allocateTransactionId('CP-A'),
+            await db.allocateTransactionId('CP-B'),
+            await db.allocateTransactionId('CP-A')
+        ];
+        assert.equal(new Set(ids).size, 3);
+        ids.forEach(id => assert.ok(Number.isInteger(id) && id >= 100000));
+        assert.ok(ids[0] < ids[1] && ids[1] < ids[2]);
+    });
+
+    it('maps reconciled IDs in both directions', async () => {
+        const proxyId = await startProxySession('CP-MAP');
+        assert.equal(await recorder.reconcile('CP-MAP', proxyId, 555), true);
+
+        assert.deepEqual(
+            await recorder.rewriteForCsms('CP-MAP', [2, 'm1', 'MeterValues', { connectorId: 1, transactionId: proxyId, meterValue: [] }]),
+            [2, 'm1', 'MeterValues', { connectorId: 1, transactionId: 555, meterValue: [] }]
+        );
+        assert.deepEqual(
+            await recorder.rewriteForCsms('CP-MAP', [2, 's1', 'StopTransaction', { transactionId: proxyId, meterStop: 10, timestamp: TIMESTAMP }]),
+            [2, 's1', 'StopTransaction', { transactionId: 555, meterStop: 10, timestamp: TIMESTAMP }]
+        );
+        assert.deepEqual(
+            await recorder.rewriteForCharger('CP-MAP', [2, 'r1', 'RemoteStopTransaction', { transactionId: 555 }]),
+            [2, 'r1', 'RemoteStopTransaction', { transactionId: proxyId }]
+        );
+    });
+
+    it('loads mappings from the database after forget()', async () => {
+        const proxyId = await startProxySession('CP-RELOAD');
+        await recorder.reconcile('CP-RELOAD', proxyId, 777);
+        recorder.forget('CP-RELOAD');
+
+        const fresh = createTransactionRecorder(db);
+        assert.deepEqual(
+            await fresh.rewriteForCsms('CP-RELOAD', [2, 's1', 'StopTransaction', { transactionId: proxyId, meterStop: 10, timestamp: TIMESTAMP }]),
+            [2, 's1', 'StopTransaction', { transactionId: 777, meterStop: 10, timestamp: TIMESTAMP }]
+        );
+        assert.deepEqual(
+            await fresh.rewriteForCharger('CP-RELOAD', [2, 'r1', 'RemoteStopTransaction', { transactionId: 777 }]),
+            [2, 'r1', 'RemoteStopTransaction', { transactionId: proxyId }]
+        );
+    });
+
+    it('leaves other frames and unmapped IDs alone', async () => {
+        const proxyId = await startProxySession('CP-NOMAP');
+
+        assert.equal(await recorder.rewriteForCsms('CP-NOMAP', [2, 's1', 'StopTransaction', { transactionId: proxyId, meterStop: 10, timestamp: TIMESTAMP }]), null);
+        assert.equal(await recorder.rewriteForCsms('CP-NOMAP', [2, 'h1', 'Heartbeat', {}]), null);
+        assert.equal(await recorder.rewriteForCsms('CP-NOMAP', [3, 'x1', { transactionId: proxyId }]), null);
+        assert.equal(await recorder.rewriteForCharger('CP-NOMAP', [2, 'r1', 'RemoteStopTransaction', { transactionId: 12345 }]), null);
+        assert.equal(await recorder.reconcile('CP-NOMAP', 99999999, 1), false);
+    });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTrafficValidator } = require('../violations');
+const { OCPP16 } = require('../ocpp');
+
+const NOW = '2026-01-01T10:00:00Z';
+
+describe('traffic validator', () => {
+    it('passes valid traffic', () => {
+        const validator = createTrafficValidator();
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'UPSTREAM', [2, 'a', 'Heartbeat', {}]), []);
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'DOWNSTREAM', [3, 'a', { currentTime: NOW }]), []);
+    });
+
+    it('reports invalid calls with their action, message ID and path', () => {
+        const validator = createTrafficValidator();
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'UPSTREAM', [2, 'a', 'Authorize', {}]), [
+            { action: 'Authorize', messageId: 'a', path: '/idTag', message: "must have required property 'idTag'" }
+        ]);
+    });
+
+    it('checks CallResults against the response schema of the call they answer', () => {
+        const validator = createTrafficValidator();
+        validator.inspect('CP1', OCPP16, 'UPSTREAM', [2, 'a', 'Heartbeat', {}]);
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'DOWNSTREAM', [3, 'a', {}]), [
+            { action: 'Heartbeat', messageId: 'a', path: '/currentTime', message: "must have required property 'currentTime'" }
+        ]);
+        // The call was answered; a repeated result has nothing to match
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'DOWNSTREAM', [3, 'a', {}]), []);
+    });
+
+    it('keeps charger and CSMS calls with the same message ID apart', () => {
+        const validator = createTrafficValidator();
+        validator.inspect('CP1', OCPP16, 'UPSTREAM', [2, '1', 'Heartbeat', {}]);
+        validator.inspect('CP1', OCPP16, 'DOWNSTREAM', [2, '1', 'Reset', { type: 'Soft' }]);
+
+        // The charger's answer to Reset and the CSMS's answer to Heartbeat
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'UPSTREAM', [3, '1', { status: 'Accepted' }]), []);
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'DOWNSTREAM', [3, '1', { status: 'Accepted' }]), [
+            { action: 'Heartbeat', messageId: '1', path: '/currentTime', message: "must have required property 'currentTime'" },
+            { action: 'Heartbeat', messageId: '1', path: '/status', message: 'must NOT have additional properties' }
+        ]);
+    });
+
+    it('checks answers to calls injected by the proxy', () => {
+        const validator = createTrafficValidator();
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'INJECTION_REQUEST', [2, 'inj', 'GetConfiguration', {}]), []);
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'INJECTION_RESPONSE', [3, 'inj', { configurationKey: 'oops' }]), [
+            { action: 'GetConfiguration', messageId: 'inj', path: '/configurationKey', message: 'must be array' }
+        ]);
+    });
+
+    it('keeps chargers apart', () => {
+        const validator = createTrafficValidator();
+        validator.inspect('CP1', OCPP16, 'UPSTREAM', [2, 'a', 'Heartbeat', {}]);
+        assert.deepEqual(validator.inspect('CP2', OCPP16, 'DOWNSTREAM', [3, 'a', {}]), []);
+    });
+
+    it('reports malformed frames and CallErrors', () => {
+        const validator = createTrafficValidator();
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'UPSTREAM', { hello: 'world' }), [
+            { action: null, messageId: null, path: '/', message: 'not a valid OCPP-J message frame' }
+        ]);
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'UPSTREAM', [2, 'a', 42, {}]), [
+            { action: null, messageId: 'a', path: '/2', message: 'action must be a string' }
+        ]);
+        validator.inspect('CP1', OCPP16, 'DOWNSTREAM', [2, 'b', 'Reset', { type: 'Hard' }]);
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'UPSTREAM', [4, 'b', 'NotSupported']), [
+            { action: 'Reset', messageId: 'b', path: '/', message: 'CallError must carry an error code and description' }
+        ]);
+    });
+
+    it('ignores protocols without schemas and proxy-generated frames', () => {
+        const validator = createTrafficValidator();
+        assert.deepEqual(validator.inspect('CP1', 'ocpp1.5', 'UPSTREAM', [2, 'a', 'Authorize', {}]), []);
+        assert.deepEqual(validator.inspect('CP1', OCPP16, 'PROXY_RESPONSE', [3, 'a', {}]), []);
+    });
+});
@@ -0,0 +1,255 @@
+// Transaction recorder - builds the transactions table from proxied OCPP traffic
+const logger = require('./logger');
+const { createCallTracker } = require('./ocpp');
+
+function toEpochSeconds(timestamp) {
+    const ms = timestamp ? Date.parse(timestamp) : NaN;
+    return Math.floor((isNaN(ms) ? Date.now() : ms) / 1000);
+}
+
+// Extract the Energy.Active.Import.Register reading (in Wh) from a list of MeterValue entries.
+// Handles both OCPP 1.6 (`unit`) and OCPP 2.0.1 (`unitOfMeasure`) sampled values.
+function extractEnergyWh(meterValues) {
+    let reading = null;
+
+    (meterValues || []).forEach(mv => {
+        (mv.sampledValue || []).forEach(sv => {
+            const measurand = sv.measurand || 'Energy.Active.Import.Register';
+            if (measurand !== 'Energy.Active.Import.Register' || sv.phase) return;
+
+            const value = parseFloat(sv.value);
+            if (isNaN(value)) return;
+
+            const unit = sv.unit || sv.unitOfMeasure?.unit || 'Wh';
+            const multiplier = sv.unitOfMeasure?.multiplier || 0;
+            reading = (unit === 'kWh' ? value * 1000 : value) * Math.pow(10, multiplier);
+        });
+    });
+
+    return reading;
+}
+
+function createTransactionRecorder(db) {
+    // StartTransaction requests awaiting their CallResult
+    const pendingStarts = createCallTracker();
+    // Tail of the per-charger processing chain, so frames are applied in the order they were seen
+    const queues = new Map();
+    // Reconciled transaction IDs per charger: { toCsms: proxyId -> csmsId, toCharger: csmsId -> proxyId }
+    const idMappings = new Map();
+
+    async function stopTransaction(chargePointId, transactionId, { meterStop, stopTime, reason, idTag }) {
+        const existing = await db.getTransaction(chargePointId, transactionId);
+        const update = {
+            status: 'COMPLETED',
+            stop_time: stopTime,
+            stop_reason: reason || null
+        };
+
+        if (meterStop !== null && meterStop !== undefined) {
+            update.meter_stop = meterStop;
+            update.meter_last = meterStop;
+        }
+        if (idTag && !(existing && existing.id_tag)) {
+            update.id_tag = idTag;
+        }
+        if (existing && existing.start_time) {
+            update.duration = stopTime - existing.start_time;
+        }
+        if (existing && existing.meter_start !== null && update.meter_stop !== undefined) {
+            update.energy = update.meter_stop - existing.meter_start;
+        }
+
+        await db.upsertTransaction(chargePointId, transactionId, update);
+        logger('INFO', 'Transaction completed', { chargePointId, transactionId, reason: reason || 'none' });
+    }
+
+    // OCPP 1.6: StartTransaction / MeterValues / StopTransaction requests from the charger
+    async function handleCall16(chargePointId, direction, messageId, action, payload) {
+        if (action === 'StartTransaction') {
+            pendingStarts.remember(chargePointId, direction, messageId, {
+                connector_id: payload.connectorId,
+                id_tag: payload.idTag,
+                meter_start: payload.meterStart,
+                meter_last: payload.meterStart,
+                start_time: toEpochSeconds(payload.timestamp)
+            });
+        } else if (action === 'MeterValues' && payload.transactionId !== undefined && payload.transactionId !== null) {
+            const energy = extractEnergyWh(payload.meterValue);
+            if (energy !== null) {
+                const existing = await db.getTransaction(chargePointId, payload.transactionId);
+                if (existing && existing.status === 'ACTIVE') {
+                    await db.upsertTransaction(chargePointId, payload.transactionId, { meter_last: energy });
+                }
+            }
+        } else if (action === 'StopTransaction') {
+            await stopTransaction(chargePointId, payload.transactionId, {
+                meterStop: payload.meterStop,
+                stopTime: toEpochSeconds(payload.timestamp),
+                reason: payload.reason,
+                idTag: payload.idTag
+            });
+        }
+    }
+
+    // OCPP 2.0.1: TransactionEvent carries start, update and end in one message
+    async function handleTransactionEvent(chargePointId, payload) {
+        const transactionId = payload.transactionInfo?.transactionId;
+        if (!transactionId) return;
+
+        const energy = extractEnergyWh(payload.meterValue);
+        const idTag = payload.idToken?.idToken;
+        const eventTime = toEpochSeconds(payload.timestamp);
+
+        if (payload.eventType === 'Ended') {
+            await stopTransaction(chargePointId, transactionId, {
+                meterStop: energy,
+                stopTime: eventTime,
+                reason: payload.transactionInfo.stoppedReason,
+                idTag
+            });
+            return;
+        }
+
+        const existing = await db.getTransaction(chargePointId, transactionId);
+        if (existing && existing.status !== 'ACTIVE') return;
+
+        const update = {};
+        if (!existing) {
+            update.status = 'ACTIVE';
+            update.id_source = 'CHARGER';
+            update.start_time = eventTime;
+            update.connector_id = payload.evse?.id ?? null;
+            update.meter_start = energy;
+            logger('INFO', 'Transaction started', { chargePointId, transactionId });
+        }
+        if (energy !== null) update.meter_last = energy;
+        if (idTag && !(existing && existing.id_tag)) update.id_tag = idTag;
+
+        if (Object.keys(update).length > 0) {
+            await db.upsertTransaction(chargePointId, transactionId, update);
+        }
+    }
+
+    // CallResult for a pending StartTransaction - whether answered by the CSMS or the proxy
+    async function handleResult(chargePointId, direction, messageId, payload) {
+        const start = pendingStarts.take(chargePointId, direction, messageId);
+        if (!start) return;
+
+        if (!payload || payload.transactionId === undefined || payload.transactionId === null) return;
+
+        await db.upsertTransaction(chargePointId, payload.transactionId, {
+            ...start,
+            status: 'ACTIVE',
+            id_source: direction === 'PROXY_RESPONSE' ? 'PROXY' : 'CSMS'
+        });
+        logger('INFO', 'Transaction started', { chargePointId, transactionId: payload.transactionId });
+    }
+
+    async function processFrame(chargePointId, direction, message) {
+        if (!Array.isArray(message)) return;
+
+        const [messageType, messageId] = message;
+
+        if (messageType === 2 && direction === 'UPSTREAM') {
+            const action = message[2];
+            const payload = message[3] || {};
+
+            if (action === 'TransactionEvent') {
+                await handleTransactionEvent(chargePointId, payload);
+            } else {
+                await handleCall16(chargePointId, direction, messageId, action, payload);
+            }
+        } else if (messageType === 3 && (direction === 'DOWNSTREAM' || direction === 'PROXY_RESPONSE')) {
+            await handleResult(chargePointId, direction, messageId, message[2]);
+        } else if (messageType === 4 && direction === 'DOWNSTREAM') {
+            pendingStarts.take(chargePointId, direction, messageId);
+        }
+    }
+
+    // Inspect a logged OCPP frame and update the transactions table accordingly
+    function record(chargePointId, direction, message) {
+        const previous = queues.get(chargePointId) || Promise.resolve();
+        const current = previous.then(() => processFrame(chargePointId, direction, message));
+
+        const tail = current.catch(() => { });
+        queues.set(chargePointId, tail);
+        tail.then(() => {
+            if (queues.get(chargePointId) === tail) queues.delete(chargePointId);
+        });
+
+        return current;
+    }
+
+    function mappingsFor(chargePointId) {
+        if (!idMappings.has(chargePointId)) {
+            idMappings.set(chargePointId, { toCsms: new Map(), toCharger: new Map() });
+        }
+        return idMappings.get(chargePointId);
+    }
+
+    // Link a proxy-issued transaction ID to the ID the CSMS assigned for the same session
+    async function reconcile(chargePointId, proxyTransactionId, csmsTransactionId) {
+        const updated = await db.setCsmsTransactionId(chargePointId, proxyTransactionId, csmsTransactionId);
+        if (updated) {
+            const mappings = mappingsFor(chargePointId);
+            mappings.toCsms.set(String(proxyTransactionId), String(csmsTransactionId));
+            mappings.toCharger.set(String(csmsTransactionId), String(proxyTransactionId));
+            logger('INFO', 'Transaction ID reconciled', { chargePointId, proxyTransactionId, csmsTransactionId });
+        }
+        return updated;
+    }
+
+    async function toCsmsId(chargePointId, transactionId) {
+        const mappings = mappingsFor(chargePointId);
+        const key = String(transactionId);
+        if (!mappings.toCsms.has(key)) {
+            const tx = await db.getTransaction(chargePointId, key);
+            mappings.toCsms.set(key, tx && tx.id_source === 'PROXY' ? tx.csms_transaction_id : null);
+        }
+        return mappings.toCsms.get(key);
+    }
+
+    async function toChargerId(chargePointId, transactionId) {
+        const mappings = mappingsFor(chargePointId);
+        const key = String(transactionId);
+        if (!mappings.toCharger.has(key)) {
+            const tx = await db.getTransactionByCsmsId(chargePointId, key);
+            mappings.toCharger.set(key, tx ? tx.transaction_id : null);
+        }
+        return mappings.toCharger.get(key);
+    }
+
+    // Return a copy of an OCPP call with its transactionId replaced, or null if there is nothing to map
+    async function rewriteCall(message, actions, translate) {
+        if (!Array.isArray(message) || message[0] !== 2 || !actions.includes(message[2])) return null;
+
+        const payload = message[3];
+        if (!payload || payload.transactionId === undefined || payload.transactionId === null) return null;
+
+        const mapped = await translate(payload.transactionId);
+        if (mapped === null || mapped === undefined) return null;
+
+        // OCPP 1.6 transaction IDs are integers
+        const transactionId = typeof payload.transactionId === 'number' ? parseInt(mapped) : mapped;
+        return [2, message[1], message[2], { ...payload, transactionId }];
+    }
+
+    // Charger -> CSMS: replace reconciled proxy-issued IDs with the CSMS-issued ones
+    function rewriteForCsms(chargePointId, message) {
+        return rewriteCall(message, ['MeterValues', 'StopTransaction'], id => toCsmsId(chargePointId, id));
+    }
+
+    // CSMS -> charger: replace CSMS-issued IDs with the proxy-issued ones the charger knows
+    function rewriteForCharger(chargePointId, message) {
+        return rewriteCall(message, ['RemoteStopTransaction'], id => toChargerId(chargePointId, id));
+    }
+
+    // Drop cached ID mappings when a charger disconnects
+    function forget(chargePointId) {
+        idMappings.delete(chargePointId);
+    }
+
+    return { record, reconcile, rewriteForCsms, rewriteForCharger, forget };
+}
+
+module.exports = { createTransactionRecorder };
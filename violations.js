@@ -0,0 +1,67 @@
+// Traffic validator - checks proxied OCPP frames against the JSON schemas and reports violations
+const schemas = require('./schemas');
+const { createCallTracker } = require('./ocpp');
+
+// Frames that arrive from the charger or the CSMS (proxy-generated frames are not checked)
+const VALIDATED_DIRECTIONS = ['UPSTREAM', 'DOWNSTREAM', 'INJECTION_RESPONSE'];
+
+function createTrafficValidator() {
+    // Actions of calls awaiting a response, so CallResults can be checked against the matching `.conf` schema
+    const pendingCalls = createCallTracker();
+
+    function violation(frame, action, path, message) {
+        return {
+            action: action || null,
+            messageId: Array.isArray(frame) && typeof frame[1] === 'string' ? frame[1] : null,
+            path,
+            message
+        };
+    }
+
+    // Check one logged frame. Must be called in the order frames are seen so calls are
+    // registered before their responses. Returns an array of violations (empty when valid).
+    function inspect(chargePointId, protocol, direction, frame) {
+        if (!schemas.canValidate(protocol)) return [];
+
+        // Calls sent to the charger by the proxy still need their action remembered for the response
+        if (direction === 'INJECTION_REQUEST' && Array.isArray(frame) && frame[0] === 2) {
+            pendingCalls.remember(chargePointId, direction, frame[1], frame[2]);
+            return [];
+        }
+        if (!VALIDATED_DIRECTIONS.includes(direction)) return [];
+
+        if (!Array.isArray(frame) || typeof frame[1] !== 'string' || ![2, 3, 4].includes(frame[0])) {
+            return [violation(frame, null, '/', 'not a valid OCPP-J message frame')];
+        }
+
+        const [messageType, messageId] = frame;
+
+        if (messageType === 2) {
+            if (typeof frame[2] !== 'string') {
+                return [violation(frame, null, '/2', 'action must be a string')];
+            }
+            pendingCalls.remember(chargePointId, direction, messageId, frame[2]);
+            return schemas.validateCall(protocol, frame[2], frame[3])
+                .map(err => violation(frame, frame[2], err.path, err.message));
+        }
+
+        const action = pendingCalls.take(chargePointId, direction, messageId);
+
+        if (messageType === 4) {
+            if (typeof frame[2] !== 'string' || typeof frame[3] !== 'string') {
+                return [violation(frame, action, '/', 'CallError must carry an error code and description')];
+            }
+            return [];
+        }
+
+        // CallResult for a call we did not see (e.g. sent before validation was enabled)
+        if (!action) return [];
+
+        return schemas.validateResult(protocol, action, frame[2])
+            .map(err => violation(frame, action, err.path, err.message));
+    }
+
+    return { inspect };
+}
+
+module.exports = { createTrafficValidator };